@@ -0,0 +1,83 @@
+// Small local proxy for the AI assistant, so the Gemini key never reaches the browser.
+//
+//   GEMINI_API_KEY=... npm run gemini-proxy
+//
+// Then pick "Local proxy server" on the app's Settings page. Only Gemini generate calls are
+// forwarded, and only for the allowed origin. Needs Node 18+ (built-in fetch).
+
+const http = require('http');
+const { Readable } = require('stream');
+
+const PORT = Number(process.env.PORT) || 8787;
+const API_KEY = process.env.GEMINI_API_KEY;
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || 'http://localhost:3000';
+const GEMINI_API_URL = 'https://generativelanguage.googleapis.com';
+const ALLOWED_PATH = /^\/v1beta\/models\/[\w.-]+:(generateContent|streamGenerateContent)$/;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+if (!API_KEY) {
+    console.error('Set GEMINI_API_KEY before starting the proxy.');
+    process.exit(1);
+}
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+});
+
+const server = http.createServer(async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', ALLOWED_ORIGIN);
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Vary', 'Origin');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204).end();
+        return;
+    }
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    if (req.headers.origin && req.headers.origin !== ALLOWED_ORIGIN) {
+        res.writeHead(403).end('Origin not allowed');
+        return;
+    }
+    if (req.method !== 'POST' || !ALLOWED_PATH.test(url.pathname)) {
+        res.writeHead(404).end('Not found');
+        return;
+    }
+
+    try {
+        const body = await readBody(req);
+        // Only `alt` (used for streaming) is passed on; a key in the query string is never forwarded
+        const query = url.searchParams.get('alt') ? `?alt=${encodeURIComponent(url.searchParams.get('alt'))}` : '';
+        const upstream = await fetch(`${GEMINI_API_URL}${url.pathname}${query}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'x-goog-api-key': API_KEY },
+            body,
+        });
+        res.writeHead(upstream.status, { 'Content-Type': upstream.headers.get('content-type') || 'application/json' });
+        if (upstream.body) {
+            Readable.fromWeb(upstream.body).pipe(res);
+        } else {
+            res.end();
+        }
+    } catch (error) {
+        console.error('Proxy request failed:', error.message);
+        if (!res.headersSent) res.writeHead(error.status || 502);
+        res.end(error.status ? error.message : 'Upstream request failed');
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Gemini proxy listening on http://localhost:${PORT} (allowed origin: ${ALLOWED_ORIGIN})`);
+});
@@ -0,0 +1,115 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker that keeps the app loadable offline and checks price alerts while the app
+// is closed or its tab is frozen. CRA compiles this file for production builds, so it shares
+// the alert engine with the page.
+
+import { buildAlertContext, evaluateAlerts, describeAlert, formatAlertValue } from './utils/alerts';
+import {
+    ALERT_SNAPSHOT_KEY, PENDING_FIRINGS_KEY, PAGE_HEARTBEAT_KEY, POLL_STATE_KEY, BACKGROUND_SYNC_TAG,
+    applyFirings, backoffAfterError, getWatchedCoinIds, shouldPoll,
+} from './utils/backgroundAlerts';
+import { idbGet, idbSet, idbUpdate } from './utils/idb';
+import { fetchPricesWithFallback } from './utils/priceProviders';
+
+// The build step replaces this placeholder with the list of app assets ({ url, revision }).
+const precacheManifest = self.__WB_MANIFEST;
+const SHELL_CACHE = 'app-shell';
+const SHELL_URLS = precacheManifest.map(entry => entry.url);
+const INDEX_URL = `${process.env.PUBLIC_URL}/index.html`;
+
+// Stores the current build's assets and drops the ones of previous builds
+const cacheAppShell = async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(SHELL_URLS);
+    const current = new Set(SHELL_URLS.map(url => new URL(url, self.location).href));
+    const cached = await cache.keys();
+    await Promise.all(cached.filter(request => !current.has(request.url)).map(request => cache.delete(request)));
+};
+
+// Pages come from the network while it is reachable; assets from the cache first.
+// Price APIs are not cached here, the app keeps its own price cache in IndexedDB.
+const respondFromShell = async (request) => {
+    const cache = await caches.open(SHELL_CACHE);
+    if (request.mode === 'navigate') {
+        try {
+            return await fetch(request);
+        } catch (error) {
+            return (await cache.match(INDEX_URL)) || Response.error();
+        }
+    }
+    return (await cache.match(request)) || fetch(request);
+};
+
+const checkAlerts = async () => {
+    const snapshot = await idbGet(ALERT_SNAPSHOT_KEY);
+    if (!snapshot || snapshot.alerts.length === 0) return;
+
+    const now = Date.now();
+    const pollState = (await idbGet(POLL_STATE_KEY)) || {};
+    const heartbeat = (await idbGet(PAGE_HEARTBEAT_KEY)) || 0;
+    if (!shouldPoll({ pollState, heartbeat, now })) return;
+
+    // Firings the page has not picked up yet must not fire again
+    const alerts = applyFirings(snapshot.alerts, await idbGet(PENDING_FIRINGS_KEY));
+    const coinIds = getWatchedCoinIds({ ...snapshot, alerts }, now);
+    if (coinIds.length === 0) return;
+
+    let prices;
+    try {
+        const coins = coinIds.map(id => ({ id, symbol: snapshot.coins?.[id]?.symbol }));
+        ({ prices } = await fetchPricesWithFallback(coins, snapshot.baseCurrency, {
+            order: snapshot.priceProviderOrder, exchangeRates: snapshot.exchangeRates,
+        }));
+        await idbSet(POLL_STATE_KEY, { lastPollAt: now, failures: 0, backoffUntil: 0 });
+    } catch (error) {
+        await idbSet(POLL_STATE_KEY, backoffAfterError(pollState, error, now));
+        return;
+    }
+
+    const context = buildAlertContext({ ...snapshot, prices });
+    const { fired } = evaluateAlerts(alerts, context, now);
+    if (fired.length === 0) return;
+
+    const firings = fired.map(({ alert, value }) => ({
+        alertId: alert.id,
+        firedAt: new Date(now).toISOString(),
+        body: `${describeAlert(alert, snapshot.coins?.[alert.coinId]?.name)} (now ${formatAlertValue(alert, value, snapshot.baseCurrency)})`,
+    }));
+    await idbUpdate(PENDING_FIRINGS_KEY, (pending = []) => [...pending, ...firings]);
+
+    if (snapshot.notificationSettings?.desktop && self.Notification?.permission === 'granted') {
+        await Promise.all(firings.map(firing => self.registration.showNotification('Alert triggered', {
+            body: firing.body,
+            tag: firing.alertId,
+            icon: 'logo192.png',
+        })));
+    }
+
+    const windows = await self.clients.matchAll({ type: 'window' });
+    windows.forEach(client => client.postMessage({ type: 'alerts-fired' }));
+};
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(cacheAppShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+    event.respondWith(respondFromShell(request));
+});
+
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === BACKGROUND_SYNC_TAG) event.waitUntil(checkAlerts());
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+        if (windows.length > 0) return windows[0].focus();
+        return self.clients.openWindow('./#/portfolio');
+    }));
+});
@@ -0,0 +1,87 @@
+// Assistant settings as saved in localStorage. No key ships with the app; the keys users enter
+// are stored per provider as { encrypted: false, key } or, with a passphrase,
+// { encrypted: true, salt, iv, data }.
+
+import { DEFAULT_LLM_PROVIDER } from './llmProviders';
+import { DEFAULT_PROXY_URL } from './llmProviders/gemini';
+import { DEFAULT_OPENAI_BASE_URL, DEFAULT_OPENAI_MODEL } from './llmProviders/openai';
+
+export const DEFAULT_AI_SETTINGS = {
+    provider: DEFAULT_LLM_PROVIDER,
+    // Gemini: 'key' (the user's own key) or 'proxy'
+    mode: 'key',
+    proxyUrl: DEFAULT_PROXY_URL,
+    openaiBaseUrl: DEFAULT_OPENAI_BASE_URL,
+    openaiModel: DEFAULT_OPENAI_MODEL,
+    storedKeys: {},
+};
+
+const PBKDF2_ITERATIONS = 250000;
+
+// Fills in defaults; settings saved before there were several providers kept the Gemini key as `storedKey`.
+export const normalizeAiSettings = (saved) => {
+    const { storedKey, ...settings } = saved || {};
+    return {
+        ...DEFAULT_AI_SETTINGS,
+        ...settings,
+        storedKeys: { ...(storedKey ? { gemini: storedKey } : {}), ...settings.storedKeys },
+    };
+};
+
+// Whether the selected backend takes an API key from this browser
+export const usesApiKey = (settings) => (settings.provider === 'gemini' && settings.mode === 'key') || settings.provider === 'openai';
+
+// Keys that were saved without a passphrase can be used right away
+export const getUnencryptedKeys = (settings) => Object.fromEntries(
+    Object.entries(settings.storedKeys).filter(([, stored]) => stored && !stored.encrypted).map(([provider, stored]) => [provider, stored.key])
+);
+
+export const isKeyLocked = (settings, unlockedKeys) => (
+    usesApiKey(settings) && Boolean(settings.storedKeys[settings.provider]) && !unlockedKeys[settings.provider]
+);
+
+// The `config` the selected provider's streamChat expects
+export const getProviderConfig = (settings, unlockedKeys) => {
+    switch (settings.provider) {
+        case 'gemini':
+            return { mode: settings.mode, proxyUrl: settings.proxyUrl, apiKey: unlockedKeys.gemini };
+        case 'openai':
+            return { baseUrl: settings.openaiBaseUrl, model: settings.openaiModel, apiKey: unlockedKeys.openai };
+        default:
+            return {};
+    }
+};
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+
+const deriveKey = async (passphrase, salt) => {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+};
+
+// Encrypts the key with AES-GCM under a key derived from the passphrase.
+export const encryptApiKey = async (apiKey, passphrase) => {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await deriveKey(passphrase, salt), new TextEncoder().encode(apiKey));
+    return { encrypted: true, salt: toBase64(salt), iv: toBase64(iv), data: toBase64(data) };
+};
+
+// Throws a readable error when the passphrase is wrong.
+export const decryptApiKey = async (storedKey, passphrase) => {
+    if (!storedKey.encrypted) return storedKey.key;
+    try {
+        const key = await deriveKey(passphrase, fromBase64(storedKey.salt));
+        const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(storedKey.iv) }, key, fromBase64(storedKey.data));
+        return new TextDecoder().decode(data);
+    } catch (error) {
+        throw new Error('The passphrase is wrong.');
+    }
+};
@@ -0,0 +1,28 @@
+import { TextDecoder, TextEncoder } from 'util';
+import { webcrypto } from 'crypto';
+import { decryptApiKey, encryptApiKey, getProviderConfig, getUnencryptedKeys, isKeyLocked, normalizeAiSettings } from './aiSettings';
+
+// jsdom has neither Web Crypto nor the text codecs
+beforeAll(() => {
+  Object.assign(global, { crypto: webcrypto, TextEncoder, TextDecoder });
+});
+
+test('moves a key saved before there were several providers', () => {
+  const settings = normalizeAiSettings({ mode: 'key', storedKey: { encrypted: false, key: 'AIza-old' } });
+  expect(settings.provider).toBe('gemini');
+  expect(settings).not.toHaveProperty('storedKey');
+  expect(getUnencryptedKeys(settings)).toEqual({ gemini: 'AIza-old' });
+  expect(getProviderConfig(settings, getUnencryptedKeys(settings))).toEqual({ mode: 'key', proxyUrl: settings.proxyUrl, apiKey: 'AIza-old' });
+
+  const locked = normalizeAiSettings({ provider: 'openai', storedKeys: { openai: { encrypted: true } } });
+  expect(isKeyLocked(locked, {})).toBe(true);
+  expect(isKeyLocked({ ...locked, provider: 'stub' }, {})).toBe(false);
+});
+
+test('encrypts the key with a passphrase', async () => {
+  const stored = await encryptApiKey('AIza-test-key', 'correct horse');
+  expect(JSON.stringify(stored)).not.toContain('AIza-test-key');
+  await expect(decryptApiKey(stored, 'correct horse')).resolves.toBe('AIza-test-key');
+  await expect(decryptApiKey(stored, 'wrong')).rejects.toThrow('The passphrase is wrong.');
+  await expect(decryptApiKey({ encrypted: false, key: 'plain' })).resolves.toBe('plain');
+});
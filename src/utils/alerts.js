@@ -0,0 +1,258 @@
+// Alert engine: the alert model, and a pure evaluator that decides which alerts fire
+// for the current prices and portfolio values.
+
+import { computePositions } from './costBasis';
+import { convertAmount, formatMoney } from './currency';
+import { DEFAULT_PORTFOLIO_ID, isInPortfolio } from './portfolios';
+import { computeDrift, getMaxDrift, isPlanComplete } from './rebalance';
+
+export const ALERT_KINDS = [
+    { value: 'price', label: 'Price crosses a level' },
+    { value: 'percent_change', label: 'Price moves by a percentage' },
+    { value: 'portfolio_value', label: 'Portfolio value crosses a level' },
+    { value: 'position_pl', label: 'Holding P/L % crosses a level' },
+    { value: 'depeg', label: 'Stablecoin loses its peg' },
+    { value: 'allocation_drift', label: 'Allocation drifts from its targets' },
+];
+
+// Kinds that watch a whole portfolio rather than one coin
+export const PORTFOLIO_ALERT_KINDS = ['portfolio_value', 'allocation_drift'];
+
+export const ALERT_DIRECTIONS = [
+    { value: 'above', label: 'Above' },
+    { value: 'below', label: 'Below' },
+];
+
+// Percent-change alerts can also fire on a move in either direction
+export const CHANGE_DIRECTIONS = [
+    { value: 'above', label: 'Rises by' },
+    { value: 'below', label: 'Falls by' },
+    { value: 'either', label: 'Moves by' },
+];
+
+export const CHANGE_WINDOWS = [
+    { value: '1h', label: '1 hour', priceField: 'change1h' },
+    { value: '24h', label: '24 hours', priceField: 'change24h' },
+];
+
+export const SNOOZE_OPTIONS = [
+    { minutes: 60, label: '1 hour' },
+    { minutes: 8 * 60, label: '8 hours' },
+    { minutes: 24 * 60, label: '1 day' },
+];
+
+export const DEFAULT_COOLDOWN_MINUTES = 60;
+
+export const createAlert = ({
+    kind, coinId = null, direction = 'above', threshold, window = '24h', currency = 'usd', pegPrice = 1,
+    portfolioId, repeat = false, cooldownMinutes = DEFAULT_COOLDOWN_MINUTES, expiresAt = null,
+}) => ({
+    id: `alert-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    kind,
+    coinId: PORTFOLIO_ALERT_KINDS.includes(kind) ? null : coinId,
+    direction,
+    threshold,
+    window,
+    currency,
+    pegPrice,
+    portfolioId,
+    repeat,
+    cooldownMinutes,
+    expiresAt,
+    snoozedUntil: null,
+    triggered: false,
+    lastTriggeredAt: null,
+    triggerCount: 0,
+    createdAt: new Date().toISOString(),
+});
+
+// Alerts saved before the engine existed were { coinId, targetPrice, type: 'above' | 'below', triggered }.
+export const normalizeAlert = (alert) => {
+    if (alert.kind) return alert;
+    return {
+        id: alert.id,
+        kind: 'price',
+        coinId: alert.coinId,
+        direction: alert.type,
+        threshold: alert.targetPrice,
+        window: '24h',
+        currency: alert.currency || 'usd',
+        pegPrice: 1,
+        portfolioId: alert.portfolioId || DEFAULT_PORTFOLIO_ID,
+        repeat: false,
+        cooldownMinutes: DEFAULT_COOLDOWN_MINUTES,
+        expiresAt: null,
+        snoozedUntil: null,
+        triggered: Boolean(alert.triggered),
+        lastTriggeredAt: null,
+        triggerCount: alert.triggered ? 1 : 0,
+        createdAt: null,
+    };
+};
+
+// Portfolio values, holding P/L and the largest drift from the rebalancing targets
+// (`rebalancePlans`, keyed by portfolio id) for every portfolio, in the base currency.
+// `transactions` must already have their prices converted to the base currency.
+// `walletQuantities` ({ [portfolioId]: { [coinId]: quantity } }) count towards values and
+// drift like on the Dashboard; having no cost basis, they are left out of the P/L.
+export const buildAlertContext = ({ transactions, portfolios, prices, costBasisMethod, baseCurrency, exchangeRates, rebalancePlans = {}, walletQuantities = {} }) => {
+    const portfolioValues = {};
+    const positionProfitLoss = {};
+    const allocationDrift = {};
+
+    portfolios.forEach(portfolio => {
+        const positions = computePositions(transactions.filter(tx => isInPortfolio(tx, portfolio.id)), costBasisMethod);
+        let value = 0;
+        let isComplete = true;
+        const holdings = [];
+        const walletHoldings = walletQuantities[portfolio.id] || {};
+        positionProfitLoss[portfolio.id] = {};
+
+        const coinIds = new Set([
+            ...Object.values(positions).filter(position => position.quantity > 0).map(position => position.id),
+            ...Object.keys(walletHoldings),
+        ]);
+        coinIds.forEach(coinId => {
+            const price = prices[coinId]?.price;
+            if (!price) {
+                isComplete = false;
+                return;
+            }
+            const position = positions[coinId];
+            const ledgerQuantity = position?.quantity > 0 ? position.quantity : 0;
+            const coinValue = (ledgerQuantity + (walletHoldings[coinId] || 0)) * price;
+            value += coinValue;
+            holdings.push({ id: coinId, value: coinValue });
+            if (ledgerQuantity > 0 && position.costBasis > 0) {
+                positionProfitLoss[portfolio.id][coinId] = ((ledgerQuantity * price - position.costBasis) / position.costBasis) * 100;
+            }
+        });
+        // A value missing a price would look like a crash, so it is not evaluated at all
+        portfolioValues[portfolio.id] = isComplete ? value : null;
+        const plan = rebalancePlans[portfolio.id];
+        allocationDrift[portfolio.id] = isComplete && value > 0 && isPlanComplete(plan) ? getMaxDrift(computeDrift(holdings, plan)) : null;
+    });
+
+    return { prices, baseCurrency, exchangeRates, portfolioValues, positionProfitLoss, allocationDrift };
+};
+
+const crosses = (value, direction, threshold) => (direction === 'above' ? value >= threshold : value <= threshold);
+
+// Returns { value, triggered } for an alert, or null when the data it needs is not available.
+// `value` is what the alert watches: a price or portfolio value in the base currency, or a percentage.
+export const observeAlert = (alert, context) => {
+    const { prices, baseCurrency, exchangeRates } = context;
+    const toBase = (amount) => convertAmount(amount, alert.currency || 'usd', baseCurrency, exchangeRates);
+
+    switch (alert.kind) {
+        case 'price': {
+            const price = prices[alert.coinId]?.price;
+            const threshold = toBase(alert.threshold);
+            if (!price || threshold === null) return null;
+            return { value: price, triggered: crosses(price, alert.direction, threshold) };
+        }
+        case 'percent_change': {
+            const field = CHANGE_WINDOWS.find(w => w.value === alert.window)?.priceField || 'change24h';
+            const change = prices[alert.coinId]?.[field];
+            if (typeof change !== 'number') return null;
+            const triggered = alert.direction === 'either'
+                ? Math.abs(change) >= alert.threshold
+                : crosses(change, alert.direction, alert.direction === 'above' ? alert.threshold : -alert.threshold);
+            return { value: change, triggered };
+        }
+        case 'portfolio_value': {
+            const value = context.portfolioValues?.[alert.portfolioId];
+            const threshold = toBase(alert.threshold);
+            if (typeof value !== 'number' || threshold === null) return null;
+            return { value, triggered: crosses(value, alert.direction, threshold) };
+        }
+        case 'position_pl': {
+            const percent = context.positionProfitLoss?.[alert.portfolioId]?.[alert.coinId];
+            if (typeof percent !== 'number') return null;
+            return { value: percent, triggered: crosses(percent, alert.direction, alert.threshold) };
+        }
+        case 'allocation_drift': {
+            // Percentage points away from the target weight, for the coin or category furthest off
+            const drift = context.allocationDrift?.[alert.portfolioId];
+            if (typeof drift !== 'number') return null;
+            return { value: drift, triggered: drift >= alert.threshold };
+        }
+        case 'depeg': {
+            const price = prices[alert.coinId]?.price;
+            const peg = toBase(alert.pegPrice ?? 1);
+            if (!price || !peg) return null;
+            const deviation = (Math.abs(price - peg) / peg) * 100;
+            return { value: price, triggered: deviation >= alert.threshold };
+        }
+        default:
+            return null;
+    }
+};
+
+// 'expired', 'snoozed', 'triggered' (one-shot alert that fired), 'cooldown' (repeating alert
+// waiting to fire again) or 'active'.
+export const getAlertStatus = (alert, now = Date.now()) => {
+    if (alert.expiresAt && now >= new Date(alert.expiresAt).getTime()) return 'expired';
+    if (!alert.repeat && alert.triggered) return 'triggered';
+    if (alert.snoozedUntil && now < new Date(alert.snoozedUntil).getTime()) return 'snoozed';
+    if (alert.repeat && alert.lastTriggeredAt) {
+        const cooldownEnds = new Date(alert.lastTriggeredAt).getTime() + (alert.cooldownMinutes || 0) * 60 * 1000;
+        if (now < cooldownEnds) return 'cooldown';
+    }
+    return 'active';
+};
+
+// Evaluates every active alert. Returns the alerts that fired ({ alert, value }) and the updated list;
+// when nothing fired the original array is returned so callers can skip the state update.
+export const evaluateAlerts = (alerts, context, now = Date.now()) => {
+    const fired = [];
+    const updated = alerts.map(alert => {
+        if (getAlertStatus(alert, now) !== 'active') return alert;
+        const observation = observeAlert(alert, context);
+        if (!observation?.triggered) return alert;
+        fired.push({ alert, value: observation.value });
+        return { ...alert, triggered: true, lastTriggeredAt: new Date(now).toISOString(), triggerCount: (alert.triggerCount || 0) + 1 };
+    });
+    return { alerts: fired.length > 0 ? updated : alerts, fired };
+};
+
+export const rearmAlert = (alert) => ({ ...alert, triggered: false, lastTriggeredAt: null, snoozedUntil: null });
+
+export const snoozeAlert = (alert, minutes, now = Date.now()) => ({
+    ...alert,
+    snoozedUntil: minutes > 0 ? new Date(now + minutes * 60 * 1000).toISOString() : null,
+});
+
+const formatPercent = (value) => `${value.toLocaleString(undefined, { maximumFractionDigits: 2 })}%`;
+const formatPoints = (value) => `${value.toLocaleString(undefined, { maximumFractionDigits: 2 })} points`;
+
+// A short sentence describing when the alert fires, e.g. "Bitcoin rises above $50,000.00".
+export const describeAlert = (alert, coinName = alert.coinId) => {
+    const crossing = alert.direction === 'above' ? 'rises above' : 'falls below';
+    switch (alert.kind) {
+        case 'price':
+            return `${coinName} ${crossing} ${formatMoney(alert.threshold, alert.currency)}`;
+        case 'percent_change': {
+            const move = CHANGE_DIRECTIONS.find(d => d.value === alert.direction)?.label.toLowerCase() || 'moves by';
+            const window = CHANGE_WINDOWS.find(w => w.value === alert.window)?.label || alert.window;
+            return `${coinName} ${move} ${formatPercent(alert.threshold)} within ${window}`;
+        }
+        case 'portfolio_value':
+            return `Portfolio value ${crossing} ${formatMoney(alert.threshold, alert.currency)}`;
+        case 'position_pl':
+            return `${coinName} P/L ${crossing} ${formatPercent(alert.threshold)}`;
+        case 'depeg':
+            return `${coinName} drifts more than ${formatPercent(alert.threshold)} from its ${formatMoney(alert.pegPrice ?? 1, alert.currency)} peg`;
+        case 'allocation_drift':
+            return `Allocation drifts more than ${formatPoints(alert.threshold)} from its targets`;
+        default:
+            return coinName;
+    }
+};
+
+// Formats a value returned by observeAlert: money in the base currency, a percentage, or
+// percentage points of drift.
+export const formatAlertValue = (alert, value, baseCurrency) => {
+    if (alert.kind === 'allocation_drift') return formatPoints(value);
+    return ['price', 'portfolio_value', 'depeg'].includes(alert.kind) ? formatMoney(value, baseCurrency) : formatPercent(value);
+};
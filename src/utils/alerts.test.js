@@ -0,0 +1,111 @@
+import { buildAlertContext, createAlert, evaluateAlerts, formatAlertValue, getAlertStatus, normalizeAlert, rearmAlert } from './alerts';
+
+const NOW = new Date('2024-06-01T12:00:00Z').getTime();
+const MINUTE = 60 * 1000;
+const context = {
+  prices: { bitcoin: { price: 60000, change1h: -3, change24h: 6 }, tether: { price: 0.97 } },
+  baseCurrency: 'usd',
+  exchangeRates: null,
+  portfolioValues: { default: 12000 },
+  positionProfitLoss: { default: { bitcoin: 25 } },
+};
+const alert = (fields) => createAlert({ portfolioId: 'default', currency: 'usd', ...fields });
+
+test('evaluates every alert kind against the current data', () => {
+  const alerts = [
+    alert({ kind: 'price', coinId: 'bitcoin', direction: 'above', threshold: 50000 }),
+    alert({ kind: 'price', coinId: 'bitcoin', direction: 'below', threshold: 50000 }),
+    alert({ kind: 'percent_change', coinId: 'bitcoin', direction: 'below', threshold: 2, window: '1h' }),
+    alert({ kind: 'percent_change', coinId: 'bitcoin', direction: 'either', threshold: 10, window: '24h' }),
+    alert({ kind: 'portfolio_value', direction: 'above', threshold: 10000 }),
+    alert({ kind: 'position_pl', coinId: 'bitcoin', direction: 'above', threshold: 20 }),
+    alert({ kind: 'depeg', coinId: 'tether', threshold: 2 }),
+  ];
+  const { fired } = evaluateAlerts(alerts, context, NOW);
+  expect(fired.map(f => alerts.indexOf(f.alert))).toEqual([0, 2, 4, 5, 6]);
+});
+
+test('one-shot alerts fire once until re-armed', () => {
+  const first = evaluateAlerts([alert({ kind: 'price', coinId: 'bitcoin', threshold: 50000 })], context, NOW);
+  expect(first.fired).toHaveLength(1);
+  const second = evaluateAlerts(first.alerts, context, NOW + 60 * MINUTE);
+  expect(second.fired).toHaveLength(0);
+  expect(second.alerts).toBe(first.alerts);
+  expect(evaluateAlerts(first.alerts.map(rearmAlert), context, NOW).fired).toHaveLength(1);
+});
+
+test('repeating alerts wait for their cooldown', () => {
+  const repeating = alert({ kind: 'price', coinId: 'bitcoin', threshold: 50000, repeat: true, cooldownMinutes: 30 });
+  const { alerts } = evaluateAlerts([repeating], context, NOW);
+  expect(getAlertStatus(alerts[0], NOW + 10 * MINUTE)).toBe('cooldown');
+  expect(evaluateAlerts(alerts, context, NOW + 10 * MINUTE).fired).toHaveLength(0);
+  const later = evaluateAlerts(alerts, context, NOW + 31 * MINUTE);
+  expect(later.fired).toHaveLength(1);
+  expect(later.alerts[0].triggerCount).toBe(2);
+});
+
+test('snoozed and expired alerts are skipped', () => {
+  const snoozed = { ...alert({ kind: 'price', coinId: 'bitcoin', threshold: 50000 }), snoozedUntil: new Date(NOW + MINUTE).toISOString() };
+  const expired = alert({ kind: 'price', coinId: 'bitcoin', threshold: 50000, expiresAt: new Date(NOW - MINUTE).toISOString() });
+  expect(getAlertStatus(snoozed, NOW)).toBe('snoozed');
+  expect(getAlertStatus(expired, NOW)).toBe('expired');
+  expect(evaluateAlerts([snoozed, expired], context, NOW).fired).toHaveLength(0);
+  expect(evaluateAlerts([snoozed], context, NOW + 2 * MINUTE).fired).toHaveLength(1);
+});
+
+test('upgrades legacy alerts and builds per-portfolio context', () => {
+  expect(normalizeAlert({ id: '1', coinId: 'bitcoin', targetPrice: 50000, type: 'below', triggered: true })).toMatchObject({
+    kind: 'price', direction: 'below', threshold: 50000, currency: 'usd', portfolioId: 'default', triggered: true,
+  });
+
+  const transactions = [
+    { id: 'a', coinId: 'bitcoin', type: 'buy', quantity: 0.2, price: 40000, date: '2024-01-01', portfolioId: 'default' },
+    { id: 'b', coinId: 'ethereum', type: 'buy', quantity: 1, price: 2000, date: '2024-01-01', portfolioId: 'other' },
+  ];
+  const built = buildAlertContext({
+    transactions,
+    portfolios: [{ id: 'default' }, { id: 'other' }],
+    prices: { bitcoin: { price: 60000 } },
+    costBasisMethod: 'fifo',
+    baseCurrency: 'usd',
+  });
+  expect(built.portfolioValues).toEqual({ default: 12000, other: null });
+  expect(built.positionProfitLoss.default.bitcoin).toBeCloseTo(50);
+});
+
+test('counts wallet balances in values and drift but not in P/L', () => {
+  const transactions = [{ id: 'a', coinId: 'bitcoin', type: 'buy', quantity: 0.1, price: 40000, date: '2024-01-01', portfolioId: 'default' }];
+  const built = buildAlertContext({
+    transactions,
+    portfolios: [{ id: 'default' }],
+    prices: { bitcoin: { price: 60000 }, ethereum: { price: 2000 } },
+    costBasisMethod: 'fifo',
+    baseCurrency: 'usd',
+    rebalancePlans: { default: { groupBy: 'coin', coinWeights: { bitcoin: 50, ethereum: 50 } } },
+    walletQuantities: { default: { bitcoin: 0.1, ethereum: 6 } },
+  });
+  expect(built.portfolioValues).toEqual({ default: 24000 });
+  expect(built.allocationDrift).toEqual({ default: 0 });
+  expect(built.positionProfitLoss.default).toEqual({ bitcoin: 50 });
+});
+
+test('watches the drift from rebalancing targets', () => {
+  const transactions = [
+    { id: 'a', coinId: 'bitcoin', type: 'buy', quantity: 0.1, price: 40000, date: '2024-01-01', portfolioId: 'default' },
+    { id: 'b', coinId: 'ethereum', type: 'buy', quantity: 1, price: 2000, date: '2024-01-01', portfolioId: 'default' },
+  ];
+  const context = buildAlertContext({
+    transactions,
+    portfolios: [{ id: 'default' }, { id: 'other' }],
+    prices: { bitcoin: { price: 60000 }, ethereum: { price: 2000 } },
+    costBasisMethod: 'fifo',
+    baseCurrency: 'usd',
+    rebalancePlans: { default: { groupBy: 'coin', coinWeights: { bitcoin: 50, ethereum: 50 } } },
+  });
+  expect(context.allocationDrift).toEqual({ default: 25, other: null });
+
+  const alert = createAlert({ kind: 'allocation_drift', coinId: 'bitcoin', threshold: 10, portfolioId: 'default' });
+  expect(alert.coinId).toBeNull();
+  expect(evaluateAlerts([alert], context).fired).toEqual([{ alert, value: 25 }]);
+  expect(formatAlertValue(alert, 25, 'usd')).toBe('25 points');
+});
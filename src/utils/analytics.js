@@ -0,0 +1,214 @@
+// Risk and performance figures for the analytics page, computed from daily CoinGecko closes
+// (see history.js) and weighted by the quantities the portfolio held on each day.
+//
+// Returns are simple daily returns. Ratios are annualized over 365 periods, since crypto
+// markets never close, and the risk-free rate is a yearly fraction (0.04 for 4%).
+
+import { quantitiesAlong } from './history';
+
+export const ANALYTICS_RANGES = [
+    { value: '30', label: '30d' },
+    { value: '90', label: '90d' },
+    { value: '365', label: '1y' },
+];
+
+export const BENCHMARK_COIN_ID = 'bitcoin';
+export const PERIODS_PER_YEAR = 365;
+// The correlation matrix only covers the largest holdings, to stay readable
+export const MAX_CORRELATION_COINS = 8;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Sample standard deviation, or null with fewer than two values
+const standardDeviation = (values) => {
+    if (values.length < 2) return null;
+    const average = mean(values);
+    return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1));
+};
+
+// Keeps the positions where both series have a value
+const pairUp = (a, b) => {
+    const pairs = { a: [], b: [] };
+    a.forEach((value, i) => {
+        if (value === null || b[i] === null || b[i] === undefined) return;
+        pairs.a.push(value);
+        pairs.b.push(b[i]);
+    });
+    return pairs;
+};
+
+const covariance = (a, b) => {
+    const averageA = mean(a);
+    const averageB = mean(b);
+    return a.reduce((sum, value, i) => sum + (value - averageA) * (b[i] - averageB), 0) / (a.length - 1);
+};
+
+const present = (values) => values.filter(value => value !== null);
+
+// The last price of every UTC day: [[dayStart, price], ...]
+export const toDailyCloses = (prices) => {
+    const closes = new Map();
+    prices.forEach(([timestamp, price]) => closes.set(Math.floor(timestamp / DAY_MS) * DAY_MS, price));
+    return [...closes.entries()].sort((a, b) => a[0] - b[0]);
+};
+
+// Puts the daily closes of every coin ({ coinId: [[timestamp, price], ...] }) on one timeline.
+// Gaps are forward-filled; days before a coin's first price stay null.
+export const alignDailyPrices = (charts) => {
+    const closes = Object.fromEntries(Object.entries(charts).map(([coinId, prices]) => [coinId, toDailyCloses(prices)]));
+    const timeline = [...new Set(Object.values(closes).flatMap(series => series.map(([day]) => day)))].sort((a, b) => a - b);
+    const prices = {};
+    Object.entries(closes).forEach(([coinId, series]) => {
+        const byDay = new Map(series);
+        let last = null;
+        prices[coinId] = timeline.map(day => {
+            if (byDay.has(day)) last = byDay.get(day);
+            return last;
+        });
+    });
+    return { timeline, prices };
+};
+
+// Day-over-day returns; entry i is the return into day i + 1, or null without both prices
+export const getReturns = (values) => values.slice(1).map((value, i) => (
+    value !== null && values[i] > 0 ? value / values[i] - 1 : null
+));
+
+// Daily returns of every coin and of the portfolio. The portfolio earns each coin's price change
+// on the quantity held at the end of the previous day, so buying or selling is never counted as
+// a gain or loss. Days when nothing was held have a null return.
+// Returns { timeline, coinReturns: { coinId: [...] }, portfolioReturns: [...] }, where the
+// return arrays are one entry shorter than the timeline.
+export const buildReturnSeries = (transactions, charts) => {
+    const { timeline, prices } = alignDailyPrices(charts);
+    const dayEnds = timeline.map(day => day + DAY_MS - 1);
+    const coinReturns = {};
+    const quantities = {};
+    Object.keys(prices).forEach(coinId => {
+        coinReturns[coinId] = getReturns(prices[coinId]);
+        quantities[coinId] = quantitiesAlong(transactions, coinId, dayEnds);
+    });
+
+    const portfolioReturns = timeline.slice(1).map((day, i) => {
+        let before = 0;
+        let after = 0;
+        Object.keys(prices).forEach(coinId => {
+            const quantity = quantities[coinId][i];
+            const [from, to] = [prices[coinId][i], prices[coinId][i + 1]];
+            if (quantity > 0 && from !== null && to !== null) {
+                before += quantity * from;
+                after += quantity * to;
+            }
+        });
+        return before > 0 ? after / before - 1 : null;
+    });
+    return { timeline, coinReturns, portfolioReturns };
+};
+
+export const getTotalReturn = (returns) => present(returns).reduce((growth, r) => growth * (1 + r), 1) - 1;
+
+export const getVolatility = (returns) => {
+    const deviation = standardDeviation(present(returns));
+    return deviation === null ? null : deviation * Math.sqrt(PERIODS_PER_YEAR);
+};
+
+// Largest fall from a previous high, as a negative fraction
+export const getMaxDrawdown = (returns) => {
+    let growth = 1;
+    let peak = 1;
+    let maxDrawdown = 0;
+    present(returns).forEach(r => {
+        growth *= 1 + r;
+        peak = Math.max(peak, growth);
+        maxDrawdown = Math.min(maxDrawdown, growth / peak - 1);
+    });
+    return maxDrawdown;
+};
+
+const excessReturns = (returns, riskFreeRate) => present(returns).map(r => r - riskFreeRate / PERIODS_PER_YEAR);
+
+export const getSharpeRatio = (returns, riskFreeRate = 0) => {
+    const excess = excessReturns(returns, riskFreeRate);
+    const deviation = standardDeviation(excess);
+    return deviation ? (mean(excess) / deviation) * Math.sqrt(PERIODS_PER_YEAR) : null;
+};
+
+// Like Sharpe, but only returns below the risk-free rate count as risk
+export const getSortinoRatio = (returns, riskFreeRate = 0) => {
+    const excess = excessReturns(returns, riskFreeRate);
+    if (excess.length < 2) return null;
+    const downside = Math.sqrt(excess.reduce((sum, r) => sum + Math.min(0, r) ** 2, 0) / excess.length);
+    return downside > 0 ? (mean(excess) / downside) * Math.sqrt(PERIODS_PER_YEAR) : null;
+};
+
+// Sensitivity of `returns` to `benchmarkReturns`, over the days both have
+export const getBeta = (returns, benchmarkReturns) => {
+    const { a, b } = pairUp(returns, benchmarkReturns);
+    if (a.length < 2) return null;
+    const variance = covariance(b, b);
+    return variance > 0 ? covariance(a, b) / variance : null;
+};
+
+export const getCorrelation = (a, b) => {
+    const pairs = pairUp(a, b);
+    if (pairs.a.length < 2) return null;
+    const deviations = standardDeviation(pairs.a) * standardDeviation(pairs.b);
+    return deviations > 0 ? covariance(pairs.a, pairs.b) / deviations : null;
+};
+
+// Pairwise correlations of the coins' returns, as rows in the order of `coinIds`
+export const getCorrelationMatrix = (coinReturns, coinIds) => coinIds.map(rowId => coinIds.map(columnId => (
+    rowId === columnId ? 1 : getCorrelation(coinReturns[rowId] || [], coinReturns[columnId] || [])
+)));
+
+// Growth of the portfolio and the benchmark since the first day, and the portfolio's distance
+// from its running high, all in percent: [{ timestamp, portfolio, benchmark, drawdown }].
+export const buildPerformanceSeries = (timeline, portfolioReturns, benchmarkReturns = []) => {
+    if (timeline.length < 2) return [];
+    let growth = 1;
+    let peak = 1;
+    let benchmarkGrowth = 1;
+    const points = [{ timestamp: timeline[0], portfolio: 0, benchmark: 0, drawdown: 0 }];
+    portfolioReturns.forEach((r, i) => {
+        growth *= 1 + (r || 0);
+        peak = Math.max(peak, growth);
+        benchmarkGrowth *= 1 + (benchmarkReturns[i] || 0);
+        points.push({
+            timestamp: timeline[i + 1],
+            portfolio: (growth - 1) * 100,
+            benchmark: (benchmarkGrowth - 1) * 100,
+            drawdown: (growth / peak - 1) * 100,
+        });
+    });
+    return points;
+};
+
+// How concentrated `holdings` ([{ id, value }]) are: the Herfindahl-Hirschman index on the
+// 0-10,000 scale, its equivalent number of equally sized holdings, and the largest holding's share.
+export const getConcentration = (holdings) => {
+    const total = holdings.reduce((sum, holding) => sum + holding.value, 0);
+    if (!(total > 0)) return null;
+    const shares = holdings.map(holding => ({ id: holding.id, percent: (holding.value / total) * 100 }));
+    const hhi = shares.reduce((sum, share) => sum + share.percent ** 2, 0);
+    const top = shares.reduce((largest, share) => (share.percent > largest.percent ? share : largest));
+    return { hhi, effectiveHoldings: 10000 / hhi, topId: top.id, topPercent: top.percent };
+};
+
+// Everything the analytics page shows that depends on price history
+export const computeRiskMetrics = (transactions, charts, riskFreeRate = 0) => {
+    const { timeline, coinReturns, portfolioReturns } = buildReturnSeries(transactions, charts);
+    const benchmarkReturns = coinReturns[BENCHMARK_COIN_ID] || [];
+    return {
+        days: present(portfolioReturns).length,
+        totalReturn: getTotalReturn(portfolioReturns),
+        volatility: getVolatility(portfolioReturns),
+        maxDrawdown: getMaxDrawdown(portfolioReturns),
+        sharpeRatio: getSharpeRatio(portfolioReturns, riskFreeRate),
+        sortinoRatio: getSortinoRatio(portfolioReturns, riskFreeRate),
+        beta: getBeta(portfolioReturns, benchmarkReturns),
+        coinReturns,
+        series: buildPerformanceSeries(timeline, portfolioReturns, benchmarkReturns),
+    };
+};
@@ -0,0 +1,42 @@
+import { buildReturnSeries, getMaxDrawdown, getBeta, getCorrelation, getConcentration, getSharpeRatio } from './analytics';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test('weights daily returns by the quantity held at the end of the previous day', () => {
+  const transactions = [
+    { id: '1', coinId: 'bitcoin', type: 'buy', quantity: 1, price: 100, date: new Date(0).toISOString() },
+    // Bought during day 1, so it only counts from day 2 on
+    { id: '2', coinId: 'ethereum', type: 'buy', quantity: 10, price: 10, date: new Date(DAY + 1000).toISOString() },
+  ];
+  const charts = {
+    // Hourly points are reduced to the last price of each day
+    bitcoin: [[0, 90], [1000, 100], [DAY, 110], [2 * DAY, 99]],
+    ethereum: [[0, 10], [DAY, 10], [2 * DAY, 12]],
+  };
+  const { timeline, coinReturns, portfolioReturns } = buildReturnSeries(transactions, charts);
+  expect(timeline).toEqual([0, DAY, 2 * DAY]);
+  expect(coinReturns.ethereum[0]).toBe(0);
+  expect(coinReturns.ethereum[1]).toBeCloseTo(0.2);
+  expect(portfolioReturns[0]).toBeCloseTo(0.1);
+  // 110 in bitcoin and 100 in ether become 99 + 120
+  expect(portfolioReturns[1]).toBeCloseTo(219 / 210 - 1);
+});
+
+test('measures drawdown, beta, correlation and Sharpe from return series', () => {
+  expect(getMaxDrawdown([0.1, -0.5, 0.2, null, 0.5])).toBeCloseTo(-0.5);
+  const benchmark = [0.01, -0.02, 0.03, -0.01];
+  expect(getBeta(benchmark.map(r => 2 * r), benchmark)).toBeCloseTo(2);
+  expect(getCorrelation(benchmark, benchmark.map(r => -r))).toBeCloseTo(-1);
+  expect(getCorrelation([null, 0.1, 0.2], [0.5, 0.1, 0.3])).toBeCloseTo(1);
+  expect(getSharpeRatio([0.01, 0.01, 0.01])).toBeNull();
+});
+
+test('reports the HHI, equivalent holdings and top holding share', () => {
+  expect(getConcentration([{ id: 'bitcoin', value: 75 }, { id: 'ethereum', value: 25 }])).toEqual({
+    hhi: 75 ** 2 + 25 ** 2,
+    effectiveHoldings: 10000 / 6250,
+    topId: 'bitcoin',
+    topPercent: 75,
+  });
+  expect(getConcentration([])).toBeNull();
+});
@@ -0,0 +1,46 @@
+// The assistant's shortcut phrases, for providers that cannot call the app's tools (see
+// assistantTools.js). They are expanded here, before the backend is involved.
+
+import { formatMoney } from './currency';
+
+const NOT_UNDERSTOOD = "I'm sorry, I couldn't understand that request. Please try rephrasing.";
+
+// Returns { prompt } to send to the model, or { reply } when the app can answer by itself.
+// `portfolio` holds { allCoins, portfolioData, totalPortfolioValue, totalProfitLoss, totalProfitLossPercent, baseCurrency }.
+export const buildAssistantRequest = (prompt, portfolio) => {
+    const { allCoins, portfolioData, totalPortfolioValue, totalProfitLoss, totalProfitLossPercent, baseCurrency } = portfolio;
+    const lowerPrompt = prompt.toLowerCase();
+
+    if (lowerPrompt.includes("coin insight for")) {
+        const coinNameMatch = lowerPrompt.match(/coin insight for ([\w\s-]+)/);
+        if (coinNameMatch && coinNameMatch[1]) {
+            const coinName = coinNameMatch[1].trim();
+            const coin = allCoins.find(c => c.name.toLowerCase() === coinName || c.symbol.toLowerCase() === coinName);
+            if (coin) {
+                return { prompt: `Provide a very brief (2-3 sentences) general market insight about ${coin.name} (${coin.symbol.toUpperCase()}). Focus on recent general trends or common knowledge, without making specific price predictions or financial advice.` };
+            }
+            return { reply: `I couldn't find a coin named "${coinName}". Please try a different name or symbol.` };
+        }
+        return { reply: NOT_UNDERSTOOD };
+    } else if (lowerPrompt.includes("portfolio summary")) {
+        if (portfolioData.length === 0) {
+            return { reply: "Your portfolio is empty. Add some coins to get a summary!" };
+        }
+        const topPerformers = portfolioData.filter(item => item.profitLoss > 0).sort((a, b) => b.profitLoss - a.profitLoss).slice(0, 2).map(item => `${item.name} (${item.profitLossPercent.toFixed(2)}%)`);
+        const topLosers = portfolioData.filter(item => item.profitLoss < 0).sort((a, b) => a.profitLoss - b.profitLoss).slice(0, 2).map(item => `${item.name} (${item.profitLossPercent.toFixed(2)}%)`);
+        let summaryPrompt = `Analyze a cryptocurrency portfolio with a total value of ${formatMoney(totalPortfolioValue, baseCurrency)} and a total profit/loss of ${formatMoney(totalProfitLoss, baseCurrency)} (${Number.isFinite(totalProfitLossPercent) ? `${totalProfitLossPercent.toFixed(2)}%` : 'unknown'}).`;
+        if (topPerformers.length > 0) summaryPrompt += ` Top performers: ${topPerformers.join(', ')}.`;
+        if (topLosers.length > 0) summaryPrompt += ` Top losers: ${topLosers.join(', ')}.`;
+        summaryPrompt += ` Provide a concise (3-4 sentences) summary of this portfolio's performance, highlighting overall trends and key contributors, without offering financial advice.`;
+        return { prompt: summaryPrompt };
+    } else if (lowerPrompt.includes("market sentiment")) {
+        return { prompt: `Provide a very brief (2-3 sentences) general overview of the current cryptocurrency market sentiment. Focus on broad trends (e.g., bullish, bearish, sideways, volatility) without making specific price predictions or financial advice.` };
+    } else if (lowerPrompt.includes("explain")) {
+        const termMatch = lowerPrompt.match(/explain (.+)/);
+        if (termMatch && termMatch[1]) {
+            return { prompt: `Explain the cryptocurrency term "${termMatch[1]}" in 2-3 sentences. Keep it concise and easy to understand for someone new to crypto.` };
+        }
+        return { reply: NOT_UNDERSTOOD };
+    }
+    return { prompt };
+};
@@ -0,0 +1,265 @@
+// Functions the assistant's model can call. Lookups answer straight away; tools that would
+// change the portfolio or the alerts only return a proposal, which the user has to confirm in
+// the chat before anything is saved.
+
+import { formatMoney } from './currency';
+import { resolveSymbol } from './csvImport';
+import { TRANSACTION_TYPES, INFLOW_TYPES, getTransactionTypeLabel } from './ledger';
+
+const COIN_PARAMETER = { type: 'string', description: 'Coin id, name or ticker symbol, e.g. "bitcoin", "Bitcoin" or "BTC"' };
+
+export const ASSISTANT_TOOLS = [
+    {
+        name: 'get_holdings',
+        description: "Lists the coins in the user's active portfolio with quantity, average buy price, current price, value and profit/loss in the user's base currency.",
+    },
+    {
+        name: 'get_prices',
+        description: 'Looks up the current price and 24 hour change of coins, whether or not the user holds them.',
+        parameters: {
+            type: 'object',
+            properties: { coins: { type: 'array', items: COIN_PARAMETER } },
+            required: ['coins'],
+        },
+    },
+    {
+        name: 'get_allocation',
+        description: "Shows how the active portfolio's value is split between its coins, in percent.",
+    },
+    {
+        name: 'propose_transaction',
+        description: 'Proposes recording a transaction in the active portfolio. The user has to confirm it in the chat before it is saved.',
+        parameters: {
+            type: 'object',
+            properties: {
+                coin: COIN_PARAMETER,
+                type: { type: 'string', enum: TRANSACTION_TYPES.map(t => t.value) },
+                quantity: { type: 'number', description: 'Number of coins' },
+                price: { type: 'number', description: "Price per coin in the user's base currency. Defaults to the current price." },
+                date: { type: 'string', description: 'ISO 8601 date and time. Defaults to now.' },
+                note: { type: 'string' },
+            },
+            required: ['coin', 'type', 'quantity'],
+        },
+    },
+    {
+        name: 'propose_alert',
+        description: "Proposes a price alert. The user has to confirm it in the chat before it is created.",
+        parameters: {
+            type: 'object',
+            properties: {
+                coin: COIN_PARAMETER,
+                direction: { type: 'string', enum: ['above', 'below'] },
+                price: { type: 'number', description: "Target price in the user's base currency" },
+            },
+            required: ['coin', 'direction', 'price'],
+        },
+    },
+];
+
+export const ASSISTANT_SYSTEM_PROMPT = [
+    'You are the assistant of CryptoHub, a cryptocurrency portfolio tracker.',
+    "Use the tools to look up the user's holdings, prices and allocation instead of guessing them.",
+    'To record a transaction or set a price alert, call propose_transaction or propose_alert. The user confirms or dismisses every proposal in the chat, so never say that a change has been made.',
+    'Keep answers concise, format them in markdown and do not give financial advice.',
+].join(' ');
+
+// Models may call tools this many times in a row before they have to answer
+export const MAX_TOOL_ROUNDS = 5;
+
+// Finds a coin by id, name or symbol
+export const findCoin = (query, allCoins) => {
+    const lower = String(query || '').trim().toLowerCase();
+    const coin = allCoins.find(c => c.id === lower) || allCoins.find(c => c.name.toLowerCase() === lower);
+    if (coin) return coin;
+    const { coinId } = resolveSymbol(lower, allCoins);
+    return allCoins.find(c => c.id === coinId) || null;
+};
+
+const newProposalId = () => `proposal-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const describeProposal = (proposal) => {
+    const coin = `${proposal.coinName} (${proposal.symbol.toUpperCase()})`;
+    if (proposal.kind === 'alert') {
+        return `Alert when ${coin} goes ${proposal.direction} ${formatMoney(proposal.threshold, proposal.currency)}`;
+    }
+    const date = proposal.date ? ` on ${new Date(proposal.date).toLocaleString()}` : '';
+    return `${getTransactionTypeLabel(proposal.type)} ${proposal.quantity} ${coin} at ${formatMoney(proposal.price, proposal.currency)} each${date}, in ${proposal.portfolioName}`;
+};
+
+const withSummary = (proposal) => ({ ...proposal, summary: describeProposal(proposal) });
+
+const proposed = (proposal) => ({
+    result: { status: 'proposed', summary: proposal.summary, note: 'The user has to confirm this in the chat. It has not been saved yet.' },
+    proposal,
+});
+
+const proposeTransaction = (args, context) => {
+    const { allCoins, portfolioData, prices, baseCurrency, portfolioId, targetPortfolioName } = context;
+    const coin = findCoin(args.coin, allCoins);
+    if (!coin) return { result: { error: `Unknown coin "${args.coin}".` } };
+    if (!TRANSACTION_TYPES.some(t => t.value === args.type)) return { result: { error: `Unknown transaction type "${args.type}".` } };
+    const quantity = Number(args.quantity);
+    if (!(quantity > 0)) return { result: { error: 'The quantity must be a positive number.' } };
+    const price = args.price === undefined ? prices[coin.id]?.price || 0 : Number(args.price);
+    if (!(price >= 0)) return { result: { error: 'The price cannot be negative.' } };
+    const date = args.date ? new Date(args.date) : null;
+    if (date && (isNaN(date) || date > new Date())) return { result: { error: 'The date must be a valid date in the past.' } };
+    const held = portfolioData.find(item => item.id === coin.id)?.quantity || 0;
+    if (!INFLOW_TYPES.includes(args.type) && quantity > held) {
+        return { result: { error: `The portfolio only holds ${held} ${coin.symbol.toUpperCase()}.` } };
+    }
+
+    return proposed(withSummary({
+        id: newProposalId(),
+        kind: 'transaction',
+        status: 'pending',
+        coinId: coin.id,
+        coinName: coin.name,
+        symbol: coin.symbol,
+        type: args.type,
+        quantity,
+        price,
+        currency: baseCurrency,
+        date: date ? date.toISOString() : null,
+        note: args.note || '',
+        portfolioId,
+        portfolioName: targetPortfolioName,
+    }));
+};
+
+const proposeAlert = (args, context) => {
+    const coin = findCoin(args.coin, context.allCoins);
+    if (!coin) return { result: { error: `Unknown coin "${args.coin}".` } };
+    if (!['above', 'below'].includes(args.direction)) return { result: { error: 'The direction must be "above" or "below".' } };
+    const threshold = Number(args.price);
+    if (!(threshold > 0)) return { result: { error: 'The target price must be a positive number.' } };
+
+    return proposed(withSummary({
+        id: newProposalId(),
+        kind: 'alert',
+        status: 'pending',
+        coinId: coin.id,
+        coinName: coin.name,
+        symbol: coin.symbol,
+        direction: args.direction,
+        threshold,
+        currency: context.baseCurrency,
+        portfolioId: context.portfolioId,
+    }));
+};
+
+const getPrices = async (args, context) => {
+    const { allCoins, prices, baseCurrency, fetchPrices } = context;
+    const found = [];
+    const unknown = [];
+    (Array.isArray(args.coins) ? args.coins : []).forEach(query => {
+        const coin = findCoin(query, allCoins);
+        if (coin) found.push(coin);
+        else unknown.push(query);
+    });
+
+    // Coins the app already tracks are priced from memory; the rest are fetched
+    const missing = found.filter(coin => !prices[coin.id]);
+    let fetched = {};
+    if (missing.length > 0) {
+        try {
+            fetched = await fetchPrices(missing.map(coin => ({ id: coin.id, symbol: coin.symbol })));
+        } catch (error) {
+            console.error("Error fetching prices for the assistant:", error);
+        }
+    }
+
+    return {
+        result: {
+            currency: baseCurrency,
+            prices: found.map(coin => {
+                const quote = prices[coin.id] || fetched[coin.id];
+                return quote
+                    ? { coin: coin.name, symbol: coin.symbol.toUpperCase(), price: quote.price, change24hPercent: quote.change24h ?? null }
+                    : { coin: coin.name, symbol: coin.symbol.toUpperCase(), error: 'No price is available right now.' };
+            }),
+            ...(unknown.length > 0 ? { unknownCoins: unknown } : {}),
+        },
+    };
+};
+
+// Runs one tool call. `context` is { allCoins, portfolioData, totalPortfolioValue, prices,
+// baseCurrency, portfolioName, portfolioId, targetPortfolioName, fetchPrices(coins) }, where the
+// portfolio id and target name are where proposed transactions go. Resolves with the `result` to
+// send back to the model, plus a `proposal` when the call asks for a change.
+export const runAssistantTool = async ({ name, args = {} }, context) => {
+    const { portfolioData, totalPortfolioValue, baseCurrency, portfolioName } = context;
+    switch (name) {
+        case 'get_holdings':
+            return {
+                result: {
+                    portfolio: portfolioName,
+                    currency: baseCurrency,
+                    totalValue: totalPortfolioValue,
+                    holdings: portfolioData.map(item => ({
+                        coin: item.name,
+                        coinId: item.id,
+                        quantity: item.quantity,
+                        averageBuyPrice: item.purchasePrice,
+                        price: item.currentPrice ?? null,
+                        value: item.value,
+                        profitLoss: item.profitLoss,
+                        profitLossPercent: item.profitLossPercent,
+                    })),
+                },
+            };
+        case 'get_prices':
+            return getPrices(args, context);
+        case 'get_allocation':
+            return {
+                result: {
+                    portfolio: portfolioName,
+                    currency: baseCurrency,
+                    totalValue: totalPortfolioValue,
+                    allocation: [...portfolioData].sort((a, b) => b.value - a.value).map(item => ({
+                        coin: item.name,
+                        value: item.value,
+                        percent: totalPortfolioValue > 0 ? Math.round((item.value / totalPortfolioValue) * 10000) / 100 : 0,
+                    })),
+                },
+            };
+        case 'propose_transaction':
+            return proposeTransaction(args, context);
+        case 'propose_alert':
+            return proposeAlert(args, context);
+        default:
+            return { result: { error: `There is no tool called "${name}".` } };
+    }
+};
+
+// Lets the model call tools until it answers in text, then resolves with { text, proposals }.
+// Text written between tool calls is kept, so the answer matches what was streamed.
+export const chatWithTools = async (provider, messages, config, context, onText = () => {}) => {
+    let conversation = [{ role: 'system', text: ASSISTANT_SYSTEM_PROMPT }, ...messages];
+    let answer = '';
+    const proposals = [];
+
+    for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+        // Text from an earlier round is separated from this one's once it starts
+        let separated = !answer;
+        const onRoundText = (piece) => {
+            if (!separated) onText('\n\n');
+            separated = true;
+            onText(piece);
+        };
+        // The last round has no tools, so the model has to answer
+        const { text, toolCalls } = await provider.streamChat(conversation, config, onRoundText, round < MAX_TOOL_ROUNDS ? ASSISTANT_TOOLS : undefined);
+        answer = [answer, text].filter(Boolean).join('\n\n');
+        if (toolCalls.length === 0) break;
+
+        const toolResults = [];
+        for (const call of toolCalls) {
+            const { result, proposal } = await runAssistantTool(call, context);
+            if (proposal) proposals.push(proposal);
+            toolResults.push({ id: call.id, name: call.name, result });
+        }
+        conversation = [...conversation, { role: 'model', text, toolCalls }, { role: 'tool', toolResults }];
+    }
+    return { text: answer, proposals };
+};
@@ -0,0 +1,73 @@
+import { chatWithTools, findCoin, runAssistantTool } from './assistantTools';
+
+const allCoins = [
+  { id: 'bitcoin', name: 'Bitcoin', symbol: 'btc' },
+  { id: 'ethereum', name: 'Ethereum', symbol: 'eth' },
+];
+
+const context = {
+  allCoins,
+  portfolioData: [
+    { id: 'bitcoin', name: 'Bitcoin', quantity: 0.5, purchasePrice: 20000, currentPrice: 60000, value: 30000, profitLoss: 20000, profitLossPercent: 200 },
+    { id: 'ethereum', name: 'Ethereum', quantity: 5, purchasePrice: 1000, currentPrice: 2000, value: 10000, profitLoss: 5000, profitLossPercent: 100 },
+  ],
+  totalPortfolioValue: 40000,
+  prices: { bitcoin: { price: 60000, change24h: 1.5 } },
+  baseCurrency: 'usd',
+  portfolioName: 'Main Portfolio',
+  portfolioId: 'main',
+  targetPortfolioName: 'Main Portfolio',
+  fetchPrices: async (coins) => Object.fromEntries(coins.map(coin => [coin.id, { price: 2000, change24h: -2 }])),
+};
+
+test('answers lookups from the portfolio and fetches missing prices', async () => {
+  expect(findCoin('BTC', allCoins).id).toBe('bitcoin');
+  expect(findCoin('Ethereum', allCoins).id).toBe('ethereum');
+  expect(findCoin('nope', allCoins)).toBeNull();
+
+  const { result: allocation } = await runAssistantTool({ name: 'get_allocation', args: {} }, context);
+  expect(allocation.allocation.map(a => a.percent)).toEqual([75, 25]);
+
+  const { result: prices } = await runAssistantTool({ name: 'get_prices', args: { coins: ['btc', 'eth', 'nope'] } }, context);
+  expect(prices.prices.map(p => p.price)).toEqual([60000, 2000]);
+  expect(prices.unknownCoins).toEqual(['nope']);
+});
+
+test('only proposes changes, and rejects invalid ones', async () => {
+  const { result, proposal } = await runAssistantTool({ name: 'propose_transaction', args: { coin: 'BTC', type: 'buy', quantity: 0.1 } }, context);
+  expect(result.status).toBe('proposed');
+  expect(proposal).toMatchObject({ kind: 'transaction', status: 'pending', coinId: 'bitcoin', quantity: 0.1, price: 60000, portfolioId: 'main' });
+  expect(proposal.summary).toBe('Buy 0.1 Bitcoin (BTC) at $60,000.00 each, in Main Portfolio');
+
+  const oversold = await runAssistantTool({ name: 'propose_transaction', args: { coin: 'eth', type: 'sell', quantity: 6 } }, context);
+  expect(oversold.proposal).toBeUndefined();
+  expect(oversold.result.error).toBe('The portfolio only holds 5 ETH.');
+
+  const alert = await runAssistantTool({ name: 'propose_alert', args: { coin: 'eth', direction: 'above', price: 2500 } }, context);
+  expect(alert.proposal.summary).toBe('Alert when Ethereum (ETH) goes above $2,500.00');
+});
+
+test('feeds tool results back to the model until it answers', async () => {
+  const requests = [];
+  const provider = {
+    supportsTools: true,
+    streamChat: async (messages, config, onText, tools) => {
+      requests.push({ messages, tools });
+      if (requests.length === 1) {
+        onText('Checking.');
+        return { text: 'Checking.', toolCalls: [{ id: 'call-0', name: 'propose_alert', args: { coin: 'btc', direction: 'below', price: 50000 } }] };
+      }
+      onText('Confirm the alert above.');
+      return { text: 'Confirm the alert above.', toolCalls: [] };
+    },
+  };
+  const streamed = [];
+  const { text, proposals } = await chatWithTools(provider, [{ role: 'user', text: 'Warn me below 50k' }], {}, context, piece => streamed.push(piece));
+
+  expect(text).toBe('Checking.\n\nConfirm the alert above.');
+  expect(streamed.join('')).toBe(text);
+  expect(proposals).toHaveLength(1);
+  expect(requests[0].messages[0].role).toBe('system');
+  expect(requests[0].tools.map(tool => tool.name)).toContain('propose_alert');
+  expect(requests[1].messages.slice(-1)[0].toolResults[0].result.status).toBe('proposed');
+});
@@ -0,0 +1,95 @@
+// State shared between the page and the service worker that checks alerts while the app is closed.
+//
+// The page owns the alert definitions and writes a snapshot of everything the evaluator needs.
+// The worker never edits that snapshot; alerts it fires go into a queue of pending firings
+// that the page applies to its own state (and its inbox) the next time it runs.
+
+import { PORTFOLIO_ALERT_KINDS, getAlertStatus } from './alerts';
+import { deriveHoldings } from './ledger';
+import { isInPortfolio } from './portfolios';
+
+export const ALERT_SNAPSHOT_KEY = 'alertSnapshot';
+export const PENDING_FIRINGS_KEY = 'pendingAlertFirings';
+export const PAGE_HEARTBEAT_KEY = 'pageHeartbeat';
+export const POLL_STATE_KEY = 'backgroundPollState';
+
+export const BACKGROUND_SYNC_TAG = 'price-alerts';
+// Browsers treat this as a lower bound and usually wake the worker far less often
+export const BACKGROUND_POLL_INTERVAL = 15 * 60 * 1000;
+// While the page has fetched prices this recently it is evaluating alerts itself
+export const PAGE_ACTIVE_WINDOW = 3 * 60 * 1000;
+
+const MIN_POLL_GAP = 60 * 1000;
+const MAX_BACKOFF = 60 * 60 * 1000;
+
+// Coins whose prices the worker needs: the coin of every active alert, plus every holding
+// of a portfolio with a portfolio-wide or P/L alert, wallet balances included.
+export const getWatchedCoinIds = (snapshot, now = Date.now()) => {
+    const ids = new Set();
+    snapshot.alerts.filter(alert => getAlertStatus(alert, now) === 'active').forEach(alert => {
+        if (alert.coinId) ids.add(alert.coinId);
+        if (PORTFOLIO_ALERT_KINDS.includes(alert.kind) || alert.kind === 'position_pl') {
+            deriveHoldings(snapshot.transactions.filter(tx => isInPortfolio(tx, alert.portfolioId)))
+                .filter(holding => holding.quantity > 0)
+                .forEach(holding => ids.add(holding.id));
+            Object.keys(snapshot.walletQuantities?.[alert.portfolioId] || {}).forEach(coinId => ids.add(coinId));
+        }
+    });
+    return [...ids].sort();
+};
+
+export const shouldPoll = ({ pollState = {}, heartbeat = 0, now = Date.now() }) => (
+    now >= (pollState.backoffUntil || 0)
+    && now - (pollState.lastPollAt || 0) >= MIN_POLL_GAP
+    && now - heartbeat >= PAGE_ACTIVE_WINDOW
+);
+
+// After a failed request, waits for Retry-After when the API sends one, and otherwise
+// doubles the delay with every consecutive failure.
+export const backoffAfterError = (pollState = {}, error, now = Date.now()) => {
+    const failures = (pollState.failures || 0) + 1;
+    const delay = error?.retryAfter
+        ? error.retryAfter * 1000
+        : Math.min(MAX_BACKOFF, MIN_POLL_GAP * 2 ** failures);
+    return { ...pollState, lastPollAt: now, failures, backoffUntil: now + delay };
+};
+
+// Applies firings ({ alertId, firedAt }) recorded by the worker to the page's alerts.
+export const applyFirings = (alerts, firings) => {
+    if (!firings || firings.length === 0) return alerts;
+    return alerts.map(alert => {
+        const own = firings.filter(firing => firing.alertId === alert.id);
+        if (own.length === 0) return alert;
+        const lastFiredAt = own.map(firing => firing.firedAt).sort().pop();
+        return {
+            ...alert,
+            triggered: true,
+            lastTriggeredAt: alert.lastTriggeredAt && alert.lastTriggeredAt > lastFiredAt ? alert.lastTriggeredAt : lastFiredAt,
+            triggerCount: (alert.triggerCount || 0) + own.length,
+        };
+    });
+};
+
+// Page only: registers the worker (offline app shell, background alerts) and, where the
+// browser allows it, periodic background sync.
+// The worker is only built for production, so development builds skip this.
+export const registerAlertWorker = async () => {
+    if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return null;
+    const registration = await navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`);
+    if ('periodicSync' in registration) {
+        try {
+            const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+            if (status.state === 'granted') {
+                await registration.periodicSync.register(BACKGROUND_SYNC_TAG, { minInterval: BACKGROUND_POLL_INTERVAL });
+            }
+        } catch (error) {
+            console.error('Error registering periodic background sync:', error);
+        }
+    }
+    return registration;
+};
+
+// Whether alerts can fire while the app is closed in this browser.
+export const supportsBackgroundAlerts = () => (
+    typeof navigator !== 'undefined' && 'serviceWorker' in navigator && typeof window !== 'undefined' && 'PeriodicSyncManager' in window
+);
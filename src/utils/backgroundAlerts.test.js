@@ -0,0 +1,43 @@
+import { createAlert } from './alerts';
+import { applyFirings, backoffAfterError, getWatchedCoinIds, PAGE_ACTIVE_WINDOW, shouldPoll } from './backgroundAlerts';
+
+const NOW = new Date('2024-06-01T12:00:00Z').getTime();
+
+test('watches alert coins and the holdings behind portfolio alerts', () => {
+  const snapshot = {
+    alerts: [
+      createAlert({ kind: 'price', coinId: 'solana', threshold: 100, portfolioId: 'default' }),
+      createAlert({ kind: 'portfolio_value', threshold: 1000, portfolioId: 'other' }),
+      { ...createAlert({ kind: 'price', coinId: 'dogecoin', threshold: 1, portfolioId: 'default' }), triggered: true },
+    ],
+    transactions: [
+      { id: 'a', coinId: 'bitcoin', type: 'buy', quantity: 1, date: '2024-01-01', portfolioId: 'other' },
+      { id: 'b', coinId: 'ethereum', type: 'buy', quantity: 1, date: '2024-01-01', portfolioId: 'default' },
+    ],
+    walletQuantities: { other: { cardano: 100 }, default: { polkadot: 5 } },
+  };
+  expect(getWatchedCoinIds(snapshot, NOW)).toEqual(['bitcoin', 'cardano', 'solana']);
+});
+
+test('polls only when the page is inactive and no backoff is pending', () => {
+  expect(shouldPoll({ now: NOW })).toBe(true);
+  expect(shouldPoll({ heartbeat: NOW - 1000, now: NOW })).toBe(false);
+  expect(shouldPoll({ heartbeat: NOW - PAGE_ACTIVE_WINDOW, now: NOW })).toBe(true);
+
+  const limited = backoffAfterError({}, { status: 429, retryAfter: 120 }, NOW);
+  expect(limited.backoffUntil).toBe(NOW + 120 * 1000);
+  expect(shouldPoll({ pollState: limited, now: NOW + 60 * 1000 })).toBe(false);
+
+  const second = backoffAfterError(backoffAfterError({}, new Error('offline'), NOW), new Error('offline'), NOW);
+  expect(second.failures).toBe(2);
+  expect(second.backoffUntil).toBe(NOW + 4 * 60 * 1000);
+});
+
+test('applies firings recorded by the worker', () => {
+  const alert = createAlert({ kind: 'price', coinId: 'bitcoin', threshold: 1, portfolioId: 'default' });
+  const [updated] = applyFirings([alert], [
+    { alertId: alert.id, firedAt: '2024-06-01T10:00:00.000Z' },
+    { alertId: alert.id, firedAt: '2024-06-01T11:00:00.000Z' },
+  ]);
+  expect(updated).toMatchObject({ triggered: true, triggerCount: 2, lastTriggeredAt: '2024-06-01T11:00:00.000Z' });
+});
@@ -0,0 +1,312 @@
+// Export and import of the whole app state as one versioned JSON file.
+// Older files are upgraded step by step to the current version before they are validated.
+
+import { DEFAULT_PORTFOLIOS, withPortfolioId } from './portfolios';
+import { TRANSACTION_TYPES, migrateLegacyPortfolio, withCurrency } from './ledger';
+import { CURRENCIES } from './currency';
+import { COST_BASIS_METHODS } from './costBasis';
+import { ALERT_KINDS, PORTFOLIO_ALERT_KINDS, normalizeAlert } from './alerts';
+import { REBALANCE_GROUPINGS } from './rebalance';
+import { WALLET_CHAINS } from './wallets';
+import { getBackupPreferences, restorePreferences, withSmallBalanceCurrency } from './preferences';
+
+export const BACKUP_APP_ID = 'cryptohub-backup';
+export const BACKUP_VERSION = 8;
+
+export const IMPORT_MODES = [
+    { value: 'merge', label: 'Merge with my data' },
+    { value: 'replace', label: 'Replace my data' },
+];
+
+// `state` is { portfolios, transactions, alerts, chatThreads, rebalancePlans, watchlist, wallets,
+// preferences, settings }, where `settings` holds the active portfolio. Wallet balances are left
+// out, they are read again from the chain after a restore, and so are API keys.
+export const createBackup = (state) => ({
+    app: BACKUP_APP_ID,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    data: {
+        portfolios: state.portfolios,
+        transactions: state.transactions,
+        alerts: state.alerts,
+        chatThreads: state.chatThreads,
+        rebalancePlans: state.rebalancePlans,
+        watchlist: state.watchlist,
+        wallets: state.wallets,
+        preferences: getBackupPreferences(state.preferences),
+        settings: state.settings,
+    },
+});
+
+// The lists (and maps keyed by portfolio) a backup holds, with their names in the summaries
+const CONTENTS = [
+    { key: 'portfolios', one: 'portfolio', many: 'portfolios' },
+    { key: 'transactions', one: 'transaction', many: 'transactions' },
+    { key: 'alerts', one: 'alert', many: 'alerts' },
+    { key: 'chatThreads', one: 'assistant chat', many: 'assistant chats' },
+    { key: 'rebalancePlans', one: 'rebalance plan', many: 'rebalance plans' },
+    { key: 'watchlist', one: 'watched coin', many: 'watched coins' },
+    { key: 'wallets', one: 'wallet', many: 'wallets' },
+];
+
+// "2 portfolios, 14 transactions, 3 alerts and 1 assistant chat"
+export const describeBackupContents = (data) => {
+    const parts = CONTENTS.map(({ key, one, many }) => {
+        const count = Object.keys(data[key]).length;
+        return `${count} ${count === 1 ? one : many}`;
+    });
+    return `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`;
+};
+
+export const getBackupFileName = (date = new Date()) => `cryptohub-backup-${date.toISOString().slice(0, 10)}.json`;
+
+// Values in a raw localStorage dump are JSON strings; allow already-parsed values too.
+const fromStorage = (value, fallback) => {
+    if (value === undefined || value === null) return fallback;
+    return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+// Keyed by the version they upgrade from; each step returns a backup one version newer.
+const UPGRADES = {
+    // Version 0: a plain dump of the localStorage keys ({ cryptoPortfolio, cryptoAlerts, ... }),
+    // which is all there was to copy before backups existed.
+    0: (raw) => {
+        const transactions = raw.cryptoTransactions
+            ? fromStorage(raw.cryptoTransactions, [])
+            : migrateLegacyPortfolio(fromStorage(raw.cryptoPortfolio, []));
+        return {
+            app: BACKUP_APP_ID,
+            version: 1,
+            exportedAt: null,
+            data: {
+                portfolios: fromStorage(raw.cryptoPortfolios, DEFAULT_PORTFOLIOS),
+                transactions: transactions.map(withPortfolioId),
+                alerts: fromStorage(raw.cryptoAlerts, []).map(withPortfolioId),
+                settings: {
+                    baseCurrency: raw.cryptoBaseCurrency,
+                    costBasisMethod: raw.cryptoCostBasisMethod,
+                    activePortfolioId: raw.cryptoActivePortfolio,
+                },
+            },
+        };
+    },
+    // Version 1 only had above/below price alerts
+    1: (backup) => ({
+        ...backup,
+        version: 2,
+        data: { ...backup.data, alerts: backup.data.alerts.map(normalizeAlert) },
+    }),
+    // Assistant conversations were not backed up before version 3
+    2: (backup) => ({
+        ...backup,
+        version: 3,
+        data: { ...backup.data, chatThreads: [] },
+    }),
+    // Nor were rebalance targets before version 4
+    3: (backup) => ({
+        ...backup,
+        version: 4,
+        data: { ...backup.data, rebalancePlans: {} },
+    }),
+    // Nor was the watchlist before version 5
+    4: (backup) => ({
+        ...backup,
+        version: 5,
+        data: { ...backup.data, watchlist: [] },
+    }),
+    // Nor were watch-only wallets before version 6
+    5: (backup) => ({
+        ...backup,
+        version: 6,
+        data: { ...backup.data, wallets: [] },
+    }),
+    // Before version 7 the only preferences in a backup were two of its settings
+    6: (backup) => {
+        const { baseCurrency, costBasisMethod, ...settings } = isObject(backup.data.settings) ? backup.data.settings : {};
+        const preferences = Object.fromEntries(Object.entries({ baseCurrency, costBasisMethod }).filter(([, value]) => value !== undefined && value !== null));
+        return { ...backup, version: 7, data: { ...backup.data, preferences, settings } };
+    },
+    // Before version 8 the small balance threshold was in the base currency of its time
+    7: (backup) => ({
+        ...backup,
+        version: 8,
+        data: { ...backup.data, preferences: withSmallBalanceCurrency(backup.data.preferences) },
+    }),
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNonEmptyString = (value) => typeof value === 'string' && value.length > 0;
+const isValidDate = (value) => typeof value === 'string' && !isNaN(new Date(value).getTime());
+
+// Returns a list of readable problems; an empty list means the backup can be applied.
+export const validateBackup = (backup) => {
+    const errors = [];
+    const data = backup?.data;
+    if (!isObject(data)) return ['The backup has no data section.'];
+
+    const portfolioIds = new Set();
+    if (!Array.isArray(data.portfolios) || data.portfolios.length === 0) {
+        errors.push('The backup must contain at least one portfolio.');
+    } else {
+        data.portfolios.forEach((p, i) => {
+            if (!isObject(p) || !isNonEmptyString(p.id) || !isNonEmptyString(p.name)) errors.push(`Portfolio #${i + 1} needs an id and a name.`);
+            else if (portfolioIds.has(p.id)) errors.push(`Portfolio id "${p.id}" is used twice.`);
+            else portfolioIds.add(p.id);
+        });
+    }
+
+    if (!Array.isArray(data.transactions)) {
+        errors.push('Transactions must be a list.');
+    } else {
+        data.transactions.forEach((tx, i) => {
+            const label = `Transaction #${i + 1}`;
+            if (!isObject(tx)) {
+                errors.push(`${label} is not an object.`);
+                return;
+            }
+            if (!isNonEmptyString(tx.id) || !isNonEmptyString(tx.coinId)) errors.push(`${label} needs an id and a coin.`);
+            if (!TRANSACTION_TYPES.some(t => t.value === tx.type)) errors.push(`${label} has an unknown type "${tx.type}".`);
+            if (!(typeof tx.quantity === 'number' && tx.quantity > 0)) errors.push(`${label} needs a positive quantity.`);
+            if (!(typeof tx.price === 'number' && tx.price >= 0)) errors.push(`${label} has an invalid price.`);
+            if (!CURRENCIES.some(c => c.code === tx.currency)) errors.push(`${label} uses an unsupported currency "${tx.currency}".`);
+            if (!isValidDate(tx.date)) errors.push(`${label} has an invalid date.`);
+            if (!portfolioIds.has(tx.portfolioId)) errors.push(`${label} belongs to an unknown portfolio.`);
+        });
+    }
+
+    if (!Array.isArray(data.alerts)) {
+        errors.push('Alerts must be a list.');
+    } else {
+        data.alerts.forEach((alert, i) => {
+            const label = `Alert #${i + 1}`;
+            if (!isObject(alert) || !isNonEmptyString(alert.id)) errors.push(`${label} needs an id.`);
+            else if (!ALERT_KINDS.some(k => k.value === alert.kind)) errors.push(`${label} has an unknown kind "${alert.kind}".`);
+            else if (!PORTFOLIO_ALERT_KINDS.includes(alert.kind) && !isNonEmptyString(alert.coinId)) errors.push(`${label} needs a coin.`);
+            else if (typeof alert.threshold !== 'number') errors.push(`${label} needs a numeric threshold.`);
+            else if (!portfolioIds.has(alert.portfolioId)) errors.push(`${label} belongs to an unknown portfolio.`);
+        });
+    }
+
+    if (!Array.isArray(data.chatThreads)) {
+        errors.push('Assistant chats must be a list.');
+    } else {
+        data.chatThreads.forEach((thread, i) => {
+            const label = `Assistant chat #${i + 1}`;
+            if (!isObject(thread) || !isNonEmptyString(thread.id)) errors.push(`${label} needs an id.`);
+            else if (typeof thread.title !== 'string' || !isValidDate(thread.updatedAt)) errors.push(`${label} needs a title and a date.`);
+            else if (!Array.isArray(thread.messages) || !thread.messages.every(m => isObject(m) && ['user', 'model'].includes(m.role) && typeof m.text === 'string')) {
+                errors.push(`${label} has invalid messages.`);
+            }
+        });
+    }
+
+    if (!isObject(data.rebalancePlans)) {
+        errors.push('Rebalance plans must be an object keyed by portfolio.');
+    } else {
+        Object.entries(data.rebalancePlans).forEach(([portfolioId, plan]) => {
+            const label = `The rebalance plan of portfolio "${portfolioId}"`;
+            if (!portfolioIds.has(portfolioId)) errors.push(`${label} belongs to an unknown portfolio.`);
+            else if (!isObject(plan) || !REBALANCE_GROUPINGS.some(g => g.value === plan.groupBy)) errors.push(`${label} is invalid.`);
+        });
+    }
+
+    if (!Array.isArray(data.watchlist) || !data.watchlist.every(isNonEmptyString)) errors.push('The watchlist must be a list of coin ids.');
+
+    if (!Array.isArray(data.wallets)) {
+        errors.push('Wallets must be a list.');
+    } else {
+        data.wallets.forEach((wallet, i) => {
+            const label = `Wallet #${i + 1}`;
+            if (!isObject(wallet) || !isNonEmptyString(wallet.id) || !isNonEmptyString(wallet.address)) errors.push(`${label} needs an id and an address.`);
+            else if (!WALLET_CHAINS.some(c => c.value === wallet.chain)) errors.push(`${label} is on an unknown chain "${wallet.chain}".`);
+            else if (!portfolioIds.has(wallet.portfolioId)) errors.push(`${label} belongs to an unknown portfolio.`);
+        });
+    }
+
+    // Preferences that are missing or no longer valid fall back to the current ones, except for
+    // these two, which change how every amount is computed
+    const { preferences } = data;
+    if (!isObject(preferences)) {
+        errors.push('Preferences must be an object.');
+    } else {
+        if (preferences.baseCurrency && !CURRENCIES.some(c => c.code === preferences.baseCurrency)) errors.push(`Unknown base currency "${preferences.baseCurrency}".`);
+        if (preferences.costBasisMethod && !COST_BASIS_METHODS.some(m => m.value === preferences.costBasisMethod)) errors.push(`Unknown cost basis method "${preferences.costBasisMethod}".`);
+    }
+    if (!isObject(data.settings ?? {})) errors.push('Settings must be an object.');
+
+    return errors;
+};
+
+// Parses, upgrades and validates a backup file. Throws with a readable message when it cannot be used.
+export const parseBackup = (text) => {
+    let backup;
+    try {
+        backup = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The file is not valid JSON.');
+    }
+    if (!isObject(backup)) throw new Error('The file is not a CryptoHub backup.');
+    if (backup.app !== undefined && backup.app !== BACKUP_APP_ID) throw new Error('The file is not a CryptoHub backup.');
+
+    let version = backup.app === undefined ? 0 : backup.version;
+    if (!Number.isInteger(version) || version < 0) throw new Error('The backup has no valid version number.');
+    if (version > BACKUP_VERSION) throw new Error(`The backup was made by a newer version of the app (v${version}). Please update first.`);
+
+    try {
+        while (version < BACKUP_VERSION) {
+            backup = UPGRADES[version](backup);
+            version = backup.version;
+        }
+    } catch (error) {
+        throw new Error(`The backup could not be upgraded: ${error.message}`);
+    }
+    // Files of any version can hold transactions from before prices had a currency
+    if (Array.isArray(backup.data?.transactions)) {
+        const transactions = backup.data.transactions.map(tx => (isObject(tx) ? withCurrency(tx) : tx));
+        backup = { ...backup, data: { ...backup.data, transactions } };
+    }
+
+    const errors = validateBackup(backup);
+    if (errors.length > 0) {
+        const more = errors.length > 3 ? ` (and ${errors.length - 3} more problems)` : '';
+        throw new Error(`The backup is invalid: ${errors.slice(0, 3).join(' ')}${more}`);
+    }
+    return backup;
+};
+
+const mergeById = (current, incoming) => {
+    const ids = new Set(current.map(item => item.id));
+    return [...current, ...incoming.filter(item => !ids.has(item.id))];
+};
+
+// Combines the current state with a parsed backup. "replace" takes everything from the backup;
+// "merge" adds the portfolios, transactions, alerts, chats, watched coins and wallets the app does not have yet,
+// plus rebalance plans for portfolios without one, and keeps the current preferences and settings.
+export const applyBackup = (current, backup, mode) => {
+    const { data } = backup;
+    if (mode === 'replace') {
+        const definedSettings = Object.fromEntries(Object.entries(data.settings ?? {}).filter(([, value]) => value !== undefined && value !== null));
+        return {
+            portfolios: data.portfolios,
+            transactions: data.transactions,
+            alerts: data.alerts,
+            chatThreads: data.chatThreads,
+            rebalancePlans: data.rebalancePlans,
+            watchlist: data.watchlist,
+            wallets: data.wallets,
+            preferences: restorePreferences(current.preferences, data.preferences),
+            settings: { ...current.settings, ...definedSettings },
+        };
+    }
+    return {
+        portfolios: mergeById(current.portfolios, data.portfolios),
+        transactions: mergeById(current.transactions, data.transactions),
+        alerts: mergeById(current.alerts, data.alerts),
+        chatThreads: mergeById(current.chatThreads, data.chatThreads),
+        rebalancePlans: { ...data.rebalancePlans, ...current.rebalancePlans },
+        watchlist: [...new Set([...current.watchlist, ...data.watchlist])],
+        wallets: mergeById(current.wallets, data.wallets),
+        preferences: current.preferences,
+        settings: current.settings,
+    };
+};
@@ -0,0 +1,102 @@
+import { createAlert } from './alerts';
+import { applyBackup, BACKUP_VERSION, createBackup, describeBackupContents, parseBackup } from './backup';
+import { addMessage, createThread } from './chatThreads';
+import { DEFAULT_REBALANCE_PLAN } from './rebalance';
+import { createWallet } from './wallets';
+import { DEFAULT_PREFERENCES } from './preferences';
+
+const portfolios = [{ id: 'default', name: 'Main Portfolio' }];
+const tx = (id, portfolioId = 'default') => ({ id, coinId: 'bitcoin', type: 'buy', quantity: 1, price: 100, currency: 'usd', date: '2024-01-01T00:00:00.000Z', note: '', portfolioId });
+const state = {
+  portfolios,
+  transactions: [tx('a')],
+  alerts: [createAlert({ kind: 'price', coinId: 'bitcoin', threshold: 50000, currency: 'usd', portfolioId: 'default' })],
+  chatThreads: [addMessage(createThread(), 'user', 'How is my portfolio doing?')],
+  rebalancePlans: { default: { ...DEFAULT_REBALANCE_PLAN, coinWeights: { bitcoin: 100 } } },
+  watchlist: ['solana'],
+  wallets: [createWallet({ name: 'Cold storage', chain: 'bitcoin', address: '1LqBGSKuX5yYUonjxT5qGfpUsXKYYWeabA' })],
+  preferences: { ...DEFAULT_PREFERENCES, baseCurrency: 'eur', costBasisMethod: 'lifo', privacyMode: true },
+  settings: { activePortfolioId: 'default' },
+};
+
+test('round-trips the app state', () => {
+  const backup = parseBackup(JSON.stringify(createBackup(state)));
+  expect(backup.version).toBe(BACKUP_VERSION);
+  expect(backup.data).toEqual(state);
+});
+
+test('upgrades a raw localStorage dump from before the ledger existed', () => {
+  const backup = parseBackup(JSON.stringify({
+    cryptoPortfolio: JSON.stringify([{ id: 'ethereum', quantity: 2, purchasePrice: 1500 }]),
+    cryptoAlerts: JSON.stringify([{ id: '1', coinId: 'ethereum', targetPrice: 3000, type: 'above', triggered: false }]),
+  }));
+  expect(backup.version).toBe(BACKUP_VERSION);
+  expect(backup.data.transactions).toMatchObject([{ coinId: 'ethereum', type: 'buy', quantity: 2, price: 1500, portfolioId: 'default' }]);
+  expect(backup.data.alerts[0]).toMatchObject({ kind: 'price', direction: 'above', threshold: 3000, portfolioId: 'default' });
+  expect(backup.data.chatThreads).toEqual([]);
+});
+
+test('upgrades a version 2 backup, which had no assistant chats, rebalance plans, watchlist or wallets', () => {
+  const { chatThreads, rebalancePlans, watchlist, wallets, ...data } = createBackup(state).data;
+  const backup = parseBackup(JSON.stringify({ ...createBackup(state), version: 2, data }));
+  expect(backup.data.chatThreads).toEqual([]);
+  expect(backup.data.rebalancePlans).toEqual({});
+  expect(backup.data.watchlist).toEqual([]);
+  expect(backup.data.wallets).toEqual([]);
+  expect(describeBackupContents(backup.data)).toBe('1 portfolio, 1 transaction, 1 alert, 0 assistant chats, 0 rebalance plans, 0 watched coins and 0 wallets');
+});
+
+test('moves the settings of a version 6 backup into its preferences', () => {
+  const { preferences, ...data } = createBackup(state).data;
+  const backup = parseBackup(JSON.stringify({ ...createBackup(state), version: 6, data: { ...data, settings: { baseCurrency: 'gbp', activePortfolioId: 'default' } } }));
+  expect(backup.data.preferences).toEqual({ baseCurrency: 'gbp' });
+  expect(backup.data.settings).toEqual({ activePortfolioId: 'default' });
+  expect(applyBackup(state, backup, 'replace').preferences).toEqual({ ...state.preferences, baseCurrency: 'gbp' });
+});
+
+test('keeps the small balance threshold of a version 7 backup in its base currency', () => {
+  const { smallBalanceCurrency, ...preferences } = { ...state.preferences, smallBalanceThreshold: 0.001 };
+  const backup = parseBackup(JSON.stringify({ ...createBackup(state), version: 7, data: { ...createBackup(state).data, preferences } }));
+  expect(backup.data.preferences).toMatchObject({ smallBalanceThreshold: 0.001, smallBalanceCurrency: 'eur' });
+});
+
+test('leaves API keys out of backups and keeps the ones of this browser', () => {
+  const withKey = (key) => ({ ...state.preferences, ai: { ...state.preferences.ai, provider: 'openai', storedKeys: { openai: { encrypted: false, key } } } });
+  const text = JSON.stringify(createBackup({ ...state, preferences: withKey('sk-exported') }));
+  expect(text).not.toContain('sk-exported');
+
+  const restored = applyBackup({ ...state, preferences: withKey('sk-current') }, parseBackup(text), 'replace').preferences;
+  expect(restored.ai).toMatchObject({ provider: 'openai', storedKeys: { openai: { key: 'sk-current' } } });
+});
+
+test('reads transactions saved before prices had a currency as US dollars', () => {
+  const { currency, ...legacy } = tx('a');
+  const backup = parseBackup(JSON.stringify(createBackup({ ...state, transactions: [legacy] })));
+  expect(backup.data.transactions[0].currency).toBe('usd');
+});
+
+test('rejects invalid and newer backups with a readable message', () => {
+  expect(() => parseBackup('not json')).toThrow('not valid JSON');
+  expect(() => parseBackup(JSON.stringify({ ...createBackup(state), version: BACKUP_VERSION + 1 }))).toThrow('newer version');
+  const broken = createBackup({ ...state, transactions: [{ ...tx('a'), quantity: -1, portfolioId: 'missing' }] });
+  expect(() => parseBackup(JSON.stringify(broken))).toThrow(/positive quantity.*unknown portfolio/);
+});
+
+test('merge keeps current data and settings, replace takes the backup', () => {
+  const current = { ...state, preferences: DEFAULT_PREFERENCES, settings: {} };
+  const backup = createBackup({ ...state, transactions: [tx('a'), tx('b')] });
+
+  const merged = applyBackup(current, backup, 'merge');
+  expect(merged.transactions.map(t => t.id)).toEqual(['a', 'b']);
+  expect(merged.chatThreads).toEqual(state.chatThreads);
+  expect(merged.rebalancePlans).toEqual(state.rebalancePlans);
+  expect(applyBackup({ ...current, watchlist: ['bitcoin', 'solana'] }, backup, 'merge').watchlist).toEqual(['bitcoin', 'solana']);
+  expect(applyBackup({ ...current, rebalancePlans: { default: DEFAULT_REBALANCE_PLAN } }, backup, 'merge').rebalancePlans).toEqual({ default: DEFAULT_REBALANCE_PLAN });
+  expect(merged.preferences).toEqual(DEFAULT_PREFERENCES);
+  expect(merged.settings).toEqual({});
+
+  const replaced = applyBackup({ ...current, transactions: [tx('z')] }, backup, 'replace');
+  expect(replaced.transactions.map(t => t.id)).toEqual(['a', 'b']);
+  expect(replaced.preferences).toEqual(state.preferences);
+  expect(replaced.settings.activePortfolioId).toBe('default');
+});
@@ -0,0 +1,55 @@
+// Saved assistant conversations. A thread is
+//   { id, title, createdAt, updatedAt, messages: [{ role: 'user' | 'model', text, createdAt, proposals? }] }
+// where 'model' is the assistant, whichever backend answered, and `proposals` are the changes it
+// asked the user to confirm (see assistantTools.js).
+
+const TITLE_LENGTH = 40;
+// Only the most recent turns are sent back as context, to keep requests small
+export const MAX_CONTEXT_MESSAGES = 20;
+
+const newId = () => Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+
+export const createThread = (title = 'New chat', now = new Date().toISOString()) => ({
+    id: newId(),
+    title,
+    createdAt: now,
+    updatedAt: now,
+    messages: [],
+});
+
+// Names a thread after the first question asked in it
+export const getThreadTitle = (text) => {
+    const line = text.trim().split('\n')[0];
+    return line.length > TITLE_LENGTH ? `${line.slice(0, TITLE_LENGTH - 1).trimEnd()}…` : line;
+};
+
+export const addMessage = (thread, role, text, now = new Date().toISOString(), details = {}) => ({
+    ...thread,
+    title: thread.messages.length === 0 && role === 'user' ? getThreadTitle(text) : thread.title,
+    updatedAt: now,
+    messages: [...thread.messages, { role, text, createdAt: now, ...details }],
+});
+
+// Records whether the user confirmed or dismissed a proposal
+export const setProposalStatus = (thread, proposalId, status) => ({
+    ...thread,
+    messages: thread.messages.map(message => (message.proposals?.some(p => p.id === proposalId)
+        ? { ...message, proposals: message.proposals.map(p => (p.id === proposalId ? { ...p, status } : p)) }
+        : message)),
+});
+
+// Applies `update` to one thread of the list
+export const updateThread = (threads, threadId, update) => threads.map(thread => (thread.id === threadId ? update(thread) : thread));
+
+// Most recently used first
+export const sortThreads = (threads) => [...threads].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+// Earlier turns followed by the new prompt, as every assistant provider takes them. The model
+// is told what became of the changes it proposed.
+export const getContextMessages = (messages, prompt, maxMessages = MAX_CONTEXT_MESSAGES) => [
+    ...messages.slice(-maxMessages).map(({ role, text, proposals = [] }) => ({
+        role,
+        text: [text, ...proposals.map(p => `[Proposed: ${p.summary}. Status: ${p.status}.]`)].filter(Boolean).join('\n\n'),
+    })),
+    { role: 'user', text: prompt },
+];
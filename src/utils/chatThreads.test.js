@@ -0,0 +1,31 @@
+import { addMessage, createThread, getContextMessages, setProposalStatus, sortThreads } from './chatThreads';
+
+test('names threads after the first question and builds the context', () => {
+  let thread = createThread('New chat', '2024-06-01T00:00:00.000Z');
+  thread = addMessage(thread, 'user', 'What moved the market so much this week, and why?', '2024-06-01T00:01:00.000Z');
+  thread = addMessage(thread, 'model', 'Mostly ETF flows.', '2024-06-01T00:02:00.000Z');
+  expect(thread.title).toBe('What moved the market so much this week…');
+  expect(thread.updatedAt).toBe('2024-06-01T00:02:00.000Z');
+
+  expect(getContextMessages(thread.messages, 'And next week?')).toEqual([
+    { role: 'user', text: 'What moved the market so much this week, and why?' },
+    { role: 'model', text: 'Mostly ETF flows.' },
+    { role: 'user', text: 'And next week?' },
+  ]);
+  expect(getContextMessages(thread.messages, 'Next?', 1)).toHaveLength(2);
+});
+
+test('tells the model what became of its proposals', () => {
+  let thread = addMessage(createThread(), 'model', 'Shall I record it?', '2024-06-01T00:00:00.000Z', {
+    proposals: [{ id: 'p1', summary: 'Buy 1 Bitcoin (BTC)', status: 'pending' }],
+  });
+  thread = setProposalStatus(thread, 'p1', 'confirmed');
+  expect(thread.messages[0].proposals[0].status).toBe('confirmed');
+  expect(getContextMessages(thread.messages, 'Thanks')[0].text).toBe('Shall I record it?\n\n[Proposed: Buy 1 Bitcoin (BTC). Status: confirmed.]');
+});
+
+test('lists the most recently used thread first', () => {
+  const older = { ...createThread(), updatedAt: '2024-01-01T00:00:00.000Z' };
+  const newer = { ...createThread(), updatedAt: '2024-02-01T00:00:00.000Z' };
+  expect(sortThreads([older, newer])).toEqual([newer, older]);
+});
@@ -0,0 +1,87 @@
+// Market data for the coin page: CoinGecko OHLC candles, moving averages and the coin's
+// market stats.
+
+import { fetchJson } from './priceProviders/request';
+
+const API = 'https://api.coingecko.com/api/v3';
+
+// CoinGecko picks the candle size from the range: 30 minutes up to 2 days, 4 hours up to
+// 30 days and 4 days beyond.
+export const OHLC_RANGES = [
+    { value: '1', label: '24h' },
+    { value: '7', label: '7d' },
+    { value: '30', label: '30d' },
+    { value: '90', label: '90d' },
+    { value: '365', label: '1y' },
+];
+
+export const MOVING_AVERAGE_PERIOD = 20;
+
+// Candles as [{ timestamp, open, high, low, close }], where the timestamp is the candle's close
+export const fetchOhlc = async (coinId, days, vsCurrency = 'usd') => {
+    const data = await fetchJson(`${API}/coins/${coinId}/ohlc?vs_currency=${vsCurrency}&days=${days}`);
+    return data.map(([timestamp, open, high, low, close]) => ({ timestamp, open, high, low, close }));
+};
+
+// Market stats in `vsCurrency`; figures CoinGecko does not know are null.
+export const fetchCoinStats = async (coinId, vsCurrency = 'usd') => {
+    const data = await fetchJson(`${API}/coins/${coinId}?localization=false&tickers=false&community_data=false&developer_data=false`);
+    const market = data.market_data || {};
+    const inCurrency = (field) => market[field]?.[vsCurrency] ?? null;
+    return {
+        rank: data.market_cap_rank ?? null,
+        marketCap: inCurrency('market_cap'),
+        volume24h: inCurrency('total_volume'),
+        high24h: inCurrency('high_24h'),
+        low24h: inCurrency('low_24h'),
+        ath: inCurrency('ath'),
+        athDate: inCurrency('ath_date'),
+        athChangePercent: inCurrency('ath_change_percentage'),
+        circulatingSupply: market.circulating_supply ?? null,
+        totalSupply: market.total_supply ?? null,
+        maxSupply: market.max_supply ?? null,
+    };
+};
+
+// Simple moving average of the last `period` values; null until there are enough of them
+export const getSma = (values, period) => values.map((_, i) => {
+    if (i < period - 1) return null;
+    return values.slice(i - period + 1, i + 1).reduce((sum, value) => sum + value, 0) / period;
+});
+
+// Exponential moving average, seeded with the SMA of the first `period` values
+export const getEma = (values, period) => {
+    const weight = 2 / (period + 1);
+    const sma = getSma(values, period);
+    let previous = null;
+    return values.map((value, i) => {
+        if (i < period - 1) return null;
+        previous = previous === null ? sma[i] : value * weight + previous * (1 - weight);
+        return previous;
+    });
+};
+
+// Adds `sma`, `ema` and `volume` (the latest 24h volume at the candle's close, from
+// [[timestamp, volume], ...]) to every candle.
+export const buildCandleChart = (candles, volumes = [], period = MOVING_AVERAGE_PERIOD) => {
+    const closes = candles.map(candle => candle.close);
+    const sma = getSma(closes, period);
+    const ema = getEma(closes, period);
+    let volumeIndex = 0;
+    let volume = null;
+    return candles.map((candle, i) => {
+        while (volumeIndex < volumes.length && volumes[volumeIndex][0] <= candle.timestamp) {
+            volume = volumes[volumeIndex][1];
+            volumeIndex++;
+        }
+        return { ...candle, range: [candle.low, candle.high], sma: sma[i], ema: ema[i], volume };
+    });
+};
+
+// The candle a moment falls into, for marking trades on the chart; null outside the chart
+export const findCandle = (candles, timestamp) => {
+    if (candles.length < 2) return null;
+    const first = candles[0].timestamp - (candles[1].timestamp - candles[0].timestamp);
+    if (timestamp <= first || timestamp > candles[candles.length - 1].timestamp) return null;
+    return candles.find(candle => candle.timestamp >= timestamp) || null;
+};
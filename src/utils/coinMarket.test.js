@@ -0,0 +1,20 @@
+import { buildCandleChart, findCandle, getEma, getSma } from './coinMarket';
+
+test('computes simple and exponential moving averages', () => {
+  expect(getSma([1, 2, 3, 4], 2)).toEqual([null, 1.5, 2.5, 3.5]);
+  // Seeded with the SMA, then weighted by 2 / (period + 1)
+  expect(getEma([1, 2, 3, 4], 3)).toEqual([null, null, 2, 3]);
+});
+
+test('puts the latest 24h volume on every candle and finds the candle of a trade', () => {
+  const candles = [
+    { timestamp: 100, open: 1, high: 3, low: 1, close: 2 },
+    { timestamp: 200, open: 2, high: 4, low: 2, close: 3 },
+  ];
+  const chart = buildCandleChart(candles, [[90, 10], [150, 20], [200, 30], [250, 40]], 2);
+  expect(chart.map(candle => candle.volume)).toEqual([10, 30]);
+  expect(chart[1]).toMatchObject({ range: [2, 4], sma: 2.5, ema: 2.5 });
+  expect(findCandle(chart, 150).timestamp).toBe(200);
+  expect(findCandle(chart, 0)).toBeNull();
+  expect(findCandle(chart, 201)).toBeNull();
+});
@@ -0,0 +1,113 @@
+// Lot matching for realized / unrealized profit and loss.
+// Every inflow opens a lot; outflows consume lots in the order given by the cost-basis method.
+
+import { INFLOW_TYPES, sortTransactions } from './ledger';
+
+export const COST_BASIS_METHODS = [
+    { value: 'fifo', label: 'FIFO (First In, First Out)' },
+    { value: 'lifo', label: 'LIFO (Last In, First Out)' },
+    { value: 'average', label: 'Average Cost' },
+];
+
+export const DEFAULT_COST_BASIS_METHOD = 'fifo';
+
+// Removes `quantity` coins from the open lots and returns the consumed pieces,
+// each keeping the acquisition date and cost of the lot it came from.
+const consumeLots = (lots, quantity, method) => {
+    const available = lots.reduce((acc, lot) => acc + lot.quantity, 0);
+    const toRemove = Math.min(quantity, available);
+    if (toRemove <= 0) return [];
+
+    if (method === 'average') {
+        // Every lot gives up the same share, which keeps the pooled average cost unchanged
+        const ratio = toRemove / available;
+        return lots.map(lot => {
+            const taken = lot.quantity * ratio;
+            lot.quantity -= taken;
+            return { ...lot, quantity: taken };
+        }).filter(piece => piece.quantity > 0);
+    }
+
+    const ordered = method === 'lifo' ? [...lots].reverse() : lots;
+    const pieces = [];
+    let remaining = toRemove;
+    for (const lot of ordered) {
+        if (remaining <= 0) break;
+        const taken = Math.min(lot.quantity, remaining);
+        if (taken <= 0) continue;
+        lot.quantity -= taken;
+        remaining -= taken;
+        pieces.push({ ...lot, quantity: taken });
+    }
+    return pieces;
+};
+
+const costOf = (pieces) => pieces.reduce((acc, piece) => acc + piece.quantity * piece.price, 0);
+
+// Replays the ledger per coin and returns a map of coinId -> position:
+// { id, quantity, costBasis, invested, realizedProfitLoss, lots, disposals }.
+// Sells realize a gain or loss; outgoing transfers move lots out without realizing anything;
+// fees remove coins and roll their cost into the lots that remain.
+// Lots are kept per portfolio, so a sale in one portfolio never consumes coins bought in another.
+// A price of null means it could not be converted to the base currency; every amount it feeds
+// into becomes NaN rather than counting the coins as free.
+export const computePositions = (transactions, method = DEFAULT_COST_BASIS_METHOD) => {
+    const positions = {};
+
+    sortTransactions(transactions).forEach(tx => {
+        if (!positions[tx.coinId]) {
+            positions[tx.coinId] = { id: tx.coinId, lotsByPortfolio: {}, disposals: [], invested: 0, realizedProfitLoss: 0 };
+        }
+        const position = positions[tx.coinId];
+        const portfolioKey = tx.portfolioId || '';
+        if (!position.lotsByPortfolio[portfolioKey]) position.lotsByPortfolio[portfolioKey] = [];
+        const lots = position.lotsByPortfolio[portfolioKey];
+        const price = tx.price === null ? NaN : tx.price || 0;
+
+        if (INFLOW_TYPES.includes(tx.type)) {
+            lots.push({ txId: tx.id, portfolioId: tx.portfolioId, date: tx.date, quantity: tx.quantity, price });
+            position.invested += tx.quantity * price;
+            return;
+        }
+
+        const pieces = consumeLots(lots, tx.quantity, method);
+        const cost = costOf(pieces);
+
+        if (tx.type === 'sell') {
+            pieces.forEach(piece => {
+                const proceeds = piece.quantity * price;
+                const pieceCost = piece.quantity * piece.price;
+                position.disposals.push({
+                    coinId: tx.coinId,
+                    portfolioId: tx.portfolioId,
+                    txId: tx.id,
+                    quantity: piece.quantity,
+                    acquiredDate: piece.date,
+                    disposedDate: tx.date,
+                    proceeds,
+                    costBasis: pieceCost,
+                    gain: proceeds - pieceCost,
+                });
+                position.realizedProfitLoss += proceeds - pieceCost;
+            });
+        } else if (tx.type === 'fee') {
+            const remaining = lots.reduce((acc, lot) => acc + lot.quantity, 0);
+            if (remaining > 0) {
+                lots.forEach(lot => { lot.price += cost / remaining; });
+            } else {
+                position.realizedProfitLoss -= cost;
+            }
+        }
+
+        position.lotsByPortfolio[portfolioKey] = lots.filter(lot => lot.quantity > 1e-12);
+    });
+
+    Object.values(positions).forEach(position => {
+        position.lots = Object.values(position.lotsByPortfolio).flat();
+        delete position.lotsByPortfolio;
+        position.quantity = position.lots.reduce((acc, lot) => acc + lot.quantity, 0);
+        position.costBasis = costOf(position.lots);
+    });
+
+    return positions;
+};
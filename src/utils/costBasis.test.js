@@ -0,0 +1,63 @@
+import { computePositions } from './costBasis';
+
+const tx = (type, quantity, price, date) => ({ id: `${type}-${date}`, coinId: 'bitcoin', type, quantity, price, date });
+
+const ledger = [
+  tx('buy', 1, 100, '2024-01-01'),
+  tx('buy', 1, 200, '2024-02-01'),
+  tx('sell', 1, 300, '2024-03-01'),
+];
+
+test('FIFO sells the oldest lot first', () => {
+  const { bitcoin } = computePositions(ledger, 'fifo');
+  expect(bitcoin.realizedProfitLoss).toBe(200);
+  expect(bitcoin.quantity).toBe(1);
+  expect(bitcoin.costBasis).toBe(200);
+  expect(bitcoin.disposals[0]).toMatchObject({ acquiredDate: '2024-01-01', disposedDate: '2024-03-01', proceeds: 300, costBasis: 100, gain: 200 });
+});
+
+test('LIFO sells the newest lot first', () => {
+  const { bitcoin } = computePositions(ledger, 'lifo');
+  expect(bitcoin.realizedProfitLoss).toBe(100);
+  expect(bitcoin.costBasis).toBe(100);
+});
+
+test('average cost sells at the pooled average', () => {
+  const { bitcoin } = computePositions(ledger, 'average');
+  expect(bitcoin.realizedProfitLoss).toBe(150);
+  expect(bitcoin.costBasis).toBe(150);
+});
+
+test('transfers out move cost basis without realizing a gain', () => {
+  const { bitcoin } = computePositions([tx('buy', 2, 100, '2024-01-01'), tx('transfer_out', 1, 0, '2024-02-01')], 'fifo');
+  expect(bitcoin.realizedProfitLoss).toBe(0);
+  expect(bitcoin.quantity).toBe(1);
+  expect(bitcoin.costBasis).toBe(100);
+});
+
+test('fees roll their cost into the remaining lots', () => {
+  const { bitcoin } = computePositions([tx('buy', 2, 100, '2024-01-01'), tx('fee', 1, 0, '2024-01-02')], 'fifo');
+  expect(bitcoin.quantity).toBe(1);
+  expect(bitcoin.costBasis).toBe(200);
+  expect(bitcoin.realizedProfitLoss).toBe(0);
+});
+
+test('never matches a sale against lots from another portfolio', () => {
+  const { bitcoin } = computePositions([
+    { ...tx('buy', 1, 100, '2024-01-01'), portfolioId: 'cold' },
+    { ...tx('buy', 1, 200, '2024-02-01'), portfolioId: 'exchange' },
+    { ...tx('sell', 1, 300, '2024-03-01'), portfolioId: 'exchange' },
+  ], 'fifo');
+  expect(bitcoin.realizedProfitLoss).toBe(100);
+  expect(bitcoin.quantity).toBe(1);
+  expect(bitcoin.costBasis).toBe(100);
+});
+
+test('keeps amounts built on an unknown price unknown', () => {
+  const { bitcoin } = computePositions([tx('buy', 1, null, '2024-01-01'), ...ledger.slice(1)], 'fifo');
+  expect(bitcoin.realizedProfitLoss).toBeNaN();
+  expect(bitcoin.disposals[0].costBasis).toBeNaN();
+  // The lot left over was bought at a known price
+  expect(bitcoin.costBasis).toBe(200);
+  expect(bitcoin.invested).toBeNaN();
+});
@@ -0,0 +1,420 @@
+// CSV import of exchange trade history.
+// Each exchange export is normalized into rows of
+// { rowNumber, date, type, symbol, quantity, price, currency, note, externalId, warnings }
+// which the import wizard then maps to CoinGecko ids and turns into ledger transactions.
+
+export const IMPORT_FORMATS = [
+    { value: 'auto', label: 'Detect automatically' },
+    { value: 'binance', label: 'Binance (Trade History)' },
+    { value: 'coinbase', label: 'Coinbase (Transaction History)' },
+    { value: 'kraken', label: 'Kraken (Trades)' },
+    { value: 'generic', label: 'Generic (map columns yourself)' },
+];
+
+// Fields the generic importer can map a column to.
+export const GENERIC_FIELDS = [
+    { value: 'date', label: 'Date', required: true },
+    { value: 'type', label: 'Type (buy / sell / ...)' },
+    { value: 'symbol', label: 'Coin Symbol', required: true },
+    { value: 'quantity', label: 'Quantity', required: true },
+    { value: 'price', label: 'Price per Coin' },
+    { value: 'currency', label: 'Price Currency' },
+    { value: 'fee', label: 'Fee (in price currency)' },
+    { value: 'note', label: 'Note' },
+];
+
+// Quote assets that map onto one of the app's currencies. Stablecoins count as USD.
+const QUOTE_CURRENCIES = {
+    usd: 'usd', usdt: 'usd', usdc: 'usd', busd: 'usd', tusd: 'usd', fdusd: 'usd', dai: 'usd',
+    eur: 'eur', gbp: 'gbp', inr: 'inr', btc: 'btc', xbt: 'btc', eth: 'eth',
+};
+// Longest first so "FDUSD" is tried before "USD"
+const KNOWN_QUOTES = ['FDUSD', 'USDT', 'USDC', 'BUSD', 'TUSD', 'DAI', 'USD', 'EUR', 'GBP', 'INR', 'TRY', 'BRL', 'BTC', 'XBT', 'ETH', 'BNB'];
+
+// Kraken prefixes legacy assets with X (crypto) or Z (fiat) and calls bitcoin XBT.
+const KRAKEN_ASSETS = { XBT: 'BTC', XXBT: 'BTC', XETH: 'ETH', XXDG: 'DOGE', XDG: 'DOGE', XLTC: 'LTC', XXRP: 'XRP', XXLM: 'XLM', ZUSD: 'USD', ZEUR: 'EUR', ZGBP: 'GBP' };
+
+// Well-known coins picked by default when many coins share a ticker. The user can still change them.
+const PREFERRED_COIN_IDS = {
+    btc: 'bitcoin', eth: 'ethereum', usdt: 'tether', usdc: 'usd-coin', bnb: 'binancecoin', sol: 'solana',
+    xrp: 'ripple', ada: 'cardano', doge: 'dogecoin', dot: 'polkadot', ltc: 'litecoin', trx: 'tron',
+    avax: 'avalanche-2', link: 'chainlink', dai: 'dai', shib: 'shiba-inu', atom: 'cosmos', xlm: 'stellar',
+    bch: 'bitcoin-cash', matic: 'matic-network', uni: 'uniswap', etc: 'ethereum-classic',
+};
+
+// --- CSV parsing ---
+
+// RFC 4180 style: quoted fields may contain commas, newlines and doubled quotes.
+export const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    // Drop blank lines
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+};
+
+// Some exports (Coinbase) put a preamble above the header, so look for the row that has the expected columns.
+const findHeaderIndex = (rows, requiredColumns) => rows.findIndex(row => {
+    const cells = row.map(cell => cell.trim().toLowerCase());
+    return requiredColumns.every(column => cells.includes(column.toLowerCase()));
+});
+
+const toRecords = (rows, headerIndex) => {
+    const headers = rows[headerIndex].map(cell => cell.trim());
+    return rows.slice(headerIndex + 1).map((row, i) => ({
+        rowNumber: headerIndex + i + 2,
+        values: Object.fromEntries(headers.map((header, column) => [header, (row[column] || '').trim()])),
+    }));
+};
+
+// Returns the header row of the first table in the file, used by the generic column mapper.
+export const getCsvHeaders = (text) => {
+    const rows = parseCsv(text);
+    return rows.length > 0 ? rows[0].map(cell => cell.trim()) : [];
+};
+
+// --- Value helpers ---
+
+// Strips currency symbols and thousands separators: "$1,234.50" -> 1234.5, "1.234,50 €" -> 1234.5.
+// When both separators appear the last one is the decimal point, and a separator that repeats
+// groups thousands. A single comma is a decimal point unless exactly three digits follow it
+// ("1,5" -> 1.5 but "1,234" -> 1234).
+export const parseNumber = (value) => {
+    if (value === undefined || value === null || value === '') return NaN;
+    const cleaned = String(value).replace(/[^0-9.,eE+-]/g, '');
+    const commas = (cleaned.match(/,/g) || []).length;
+    const dots = (cleaned.match(/\./g) || []).length;
+    const lastComma = cleaned.lastIndexOf(',');
+    const digitsAfterComma = cleaned.slice(lastComma + 1).match(/^\d*/)[0].length;
+    const isDecimalComma = dots === 0
+        ? commas === 1 && digitsAfterComma !== 3
+        : commas === 1 && lastComma > cleaned.lastIndexOf('.');
+    const normalized = isDecimalComma
+        ? cleaned.replace(/\./g, '').replace(',', '.')
+        : cleaned.replace(/,/g, '').replace(/\./g, dots > 1 ? '' : '.');
+    return normalized ? parseFloat(normalized) : NaN;
+};
+
+// "0.0012BTC" -> { amount: 0.0012, asset: 'BTC' }
+const parseAmountWithAsset = (value) => {
+    const match = String(value || '').replace(/,/g, '').match(/^\s*(-?[\d.]+(?:[eE][-+]?\d+)?)\s*([A-Za-z0-9]*)\s*$/);
+    return match ? { amount: parseFloat(match[1]), asset: match[2].toUpperCase() } : { amount: NaN, asset: '' };
+};
+
+// Exchange timestamps without an explicit zone are UTC.
+export const parseDate = (value) => {
+    if (!value) return null;
+    let normalized = String(value).trim().replace(/\s+UTC$/i, 'Z');
+    if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}/.test(normalized)) normalized = normalized.replace(' ', 'T');
+    if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(normalized)) normalized += 'Z';
+    const date = new Date(normalized);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+export const normalizeType = (value) => {
+    const type = String(value || '').toLowerCase();
+    if (type.includes('sell')) return 'sell';
+    if (type.includes('buy')) return 'buy';
+    if (/deposit|receive|transfer in|reward|income|airdrop|earn|interest/.test(type)) return 'transfer_in';
+    if (/withdraw|send|transfer out/.test(type)) return 'transfer_out';
+    if (type.includes('fee')) return 'fee';
+    return null;
+};
+
+const toCurrency = (asset) => QUOTE_CURRENCIES[String(asset || '').toLowerCase()] || null;
+
+const normalizeKrakenAsset = (asset) => KRAKEN_ASSETS[asset] || asset;
+
+// "BTCUSDT" -> ['BTC', 'USDT'], Kraken "XXBTZUSD" -> ['BTC', 'USD']
+export const splitPair = (pair, exchange) => {
+    const upper = String(pair || '').toUpperCase().replace(/[-_/]/g, '');
+    if (exchange === 'kraken' && upper.length === 8 && /^[XZ]/.test(upper) && /^[XZ]/.test(upper.slice(4))) {
+        return [normalizeKrakenAsset(upper.slice(0, 4)), normalizeKrakenAsset(upper.slice(4))];
+    }
+    const quote = KNOWN_QUOTES.find(q => upper.endsWith(q) && upper.length > q.length);
+    if (!quote) return [upper, ''];
+    const base = upper.slice(0, -quote.length);
+    return exchange === 'kraken' ? [normalizeKrakenAsset(base), normalizeKrakenAsset(quote)] : [base, quote];
+};
+
+// A trade's fee either comes out of the coin itself (recorded as a separate fee transaction)
+// or is paid in the quote currency (folded into the effective price, as exchanges report cost basis).
+const tradeRows = ({ rowNumber, date, side, base, quote, quantity, total, fee, feeAsset, externalId, source }) => {
+    const warnings = [];
+    const currency = toCurrency(quote);
+    let price = quantity > 0 ? total / quantity : 0;
+
+    if (!currency) {
+        warnings.push(`Prices quoted in ${quote || 'an unknown asset'} are not supported; the cost basis is recorded as 0.`);
+        price = 0;
+    } else if (fee > 0 && feeAsset === quote) {
+        price = side === 'buy' ? (total + fee) / quantity : (total - fee) / quantity;
+    }
+
+    const rows = [{ rowNumber, date, type: side, symbol: base, quantity, price, currency: currency || 'usd', note: `Imported from ${source}`, externalId, warnings }];
+    if (fee > 0 && feeAsset === base) {
+        rows.push({ rowNumber, date, type: 'fee', symbol: base, quantity: fee, price: 0, currency: currency || 'usd', note: `${source} trading fee`, externalId: externalId && `${externalId}-fee`, warnings: [] });
+    } else if (fee > 0 && feeAsset && feeAsset !== quote) {
+        warnings.push(`Fee paid in ${feeAsset} was not recorded.`);
+    }
+    return rows;
+};
+
+// Exports without trade ids get one built from the trade's fields. Identical fills in the same file
+// are numbered in the order they appear, so they stay apart and keep their ids on re-import.
+const createIdNumberer = () => {
+    const counts = new Map();
+    return (id) => {
+        const count = (counts.get(id) || 0) + 1;
+        counts.set(id, count);
+        return count === 1 ? id : `${id}-${count}`;
+    };
+};
+
+// --- Exchange formats ---
+
+const parseBinance = (rows) => {
+    const headerIndex = rows.findIndex(row => row.some(c => /^date/i.test(c.trim())) && row.some(c => /^(pair|market)$/i.test(c.trim())));
+    if (headerIndex === -1) throw new Error('This does not look like a Binance trade history export.');
+
+    const numberId = createIdNumberer();
+    return toRecords(rows, headerIndex).flatMap(({ rowNumber, values }) => {
+        const pair = values.Pair || values.Market;
+        const [base, quote] = splitPair(pair, 'binance');
+        const side = normalizeType(values.Side || values.Type);
+        // Newer exports suffix amounts with their asset ("0.01BTC"); older ones have plain numbers plus "Fee Coin"
+        const executed = parseAmountWithAsset(values.Executed ?? values.Amount);
+        const total = parseAmountWithAsset(values.Executed !== undefined ? values.Amount : values.Total);
+        const fee = parseAmountWithAsset(values.Fee);
+        const date = parseDate(values['Date(UTC)'] || values.Date);
+
+        if (!date || !side || !(executed.amount > 0)) {
+            return [{ rowNumber, invalid: true, warnings: ['Row could not be read.'] }];
+        }
+        return tradeRows({
+            rowNumber,
+            date,
+            side,
+            base,
+            quote,
+            quantity: executed.amount,
+            total: total.amount,
+            fee: fee.amount || 0,
+            feeAsset: fee.asset || (values['Fee Coin'] || '').toUpperCase(),
+            externalId: numberId(`binance-${date}-${pair}-${side}-${executed.amount}`),
+            source: 'Binance',
+        });
+    });
+};
+
+// "Converted 1 ETH to 0.05 BTC"
+const COINBASE_CONVERT_NOTE = /converted\s+([\d.,]+)\s+(\w+)\s+to\s+([\d.,]+)\s+(\w+)/i;
+
+const parseCoinbase = (rows) => {
+    const headerIndex = findHeaderIndex(rows, ['Timestamp', 'Transaction Type', 'Asset']);
+    if (headerIndex === -1) throw new Error('This does not look like a Coinbase transaction history export.');
+
+    const numberId = createIdNumberer();
+    return toRecords(rows, headerIndex).flatMap(({ rowNumber, values }) => {
+        const date = parseDate(values.Timestamp);
+        const rawType = values['Transaction Type'] || '';
+        const symbol = (values.Asset || '').toUpperCase();
+        const quantity = Math.abs(parseNumber(values['Quantity Transacted']));
+        const currency = toCurrency(values['Spot Price Currency'] || values['Price Currency']);
+        const spotPrice = parseNumber(values['Spot Price at Transaction'] || values['Price at Transaction']);
+        const total = Math.abs(parseNumber(values['Total (inclusive of fees and/or spread)']));
+        const externalId = values.ID ? `coinbase-${values.ID}` : numberId(`coinbase-${date}-${rawType}-${symbol}-${quantity}`);
+        const warnings = currency ? [] : [`Price currency ${values['Spot Price Currency'] || ''} is not supported; the cost basis is recorded as 0.`];
+
+        if (!date || !symbol || !(quantity > 0)) {
+            return [{ rowNumber, invalid: true, warnings: ['Row could not be read.'] }];
+        }
+
+        // A conversion is a sale of one coin and a purchase of another at the same value
+        if (/convert/i.test(rawType)) {
+            const match = (values.Notes || '').match(COINBASE_CONVERT_NOTE);
+            const proceeds = total || quantity * spotPrice;
+            const rowsForConvert = [{ rowNumber, date, type: 'sell', symbol, quantity, price: currency ? proceeds / quantity : 0, currency: currency || 'usd', note: 'Imported from Coinbase (convert)', externalId, warnings }];
+            if (match) {
+                const toQuantity = parseNumber(match[3]);
+                rowsForConvert.push({ rowNumber, date, type: 'buy', symbol: match[4].toUpperCase(), quantity: toQuantity, price: currency && toQuantity > 0 ? proceeds / toQuantity : 0, currency: currency || 'usd', note: 'Imported from Coinbase (convert)', externalId: `${externalId}-to`, warnings: [] });
+            } else {
+                warnings.push('The coin received in this conversion could not be read from the notes.');
+            }
+            return rowsForConvert;
+        }
+
+        const type = normalizeType(rawType);
+        if (!type) {
+            return [{ rowNumber, invalid: true, warnings: [`Unsupported transaction type "${rawType}".`] }];
+        }
+        // "Total" already includes fees, which is the cost basis for buys and the net proceeds for sells
+        const price = !currency ? 0 : (type === 'buy' || type === 'sell') && total > 0 ? total / quantity : spotPrice || 0;
+        return [{ rowNumber, date, type, symbol, quantity, price, currency: currency || 'usd', note: values.Notes || 'Imported from Coinbase', externalId, warnings }];
+    });
+};
+
+const parseKraken = (rows) => {
+    const headerIndex = findHeaderIndex(rows, ['txid', 'pair', 'time', 'type', 'vol']);
+    if (headerIndex === -1) throw new Error('This does not look like a Kraken trades export.');
+
+    return toRecords(rows, headerIndex).flatMap(({ rowNumber, values }) => {
+        const [base, quote] = splitPair(values.pair, 'kraken');
+        const side = normalizeType(values.type);
+        const quantity = parseNumber(values.vol);
+        const date = parseDate(values.time);
+        if (!date || !side || !(quantity > 0)) {
+            return [{ rowNumber, invalid: true, warnings: ['Row could not be read.'] }];
+        }
+        return tradeRows({
+            rowNumber,
+            date,
+            side,
+            base,
+            quote,
+            quantity,
+            total: parseNumber(values.cost),
+            fee: parseNumber(values.fee) || 0,
+            // Kraken charges trade fees in the quote currency
+            feeAsset: quote,
+            externalId: `kraken-${values.txid}`,
+            source: 'Kraken',
+        });
+    });
+};
+
+// `mapping` is { field: columnHeader } for the fields in GENERIC_FIELDS.
+const parseGeneric = (rows, mapping) => {
+    const missing = GENERIC_FIELDS.filter(f => f.required && !mapping[f.value]);
+    if (missing.length > 0) throw new Error(`Please map a column for: ${missing.map(f => f.label).join(', ')}.`);
+
+    return toRecords(rows, 0).map(({ rowNumber, values }) => {
+        const get = (field) => (mapping[field] ? values[mapping[field]] : undefined);
+        const date = parseDate(get('date'));
+        const type = mapping.type ? normalizeType(get('type')) : 'buy';
+        const symbol = (get('symbol') || '').toUpperCase();
+        const quantity = Math.abs(parseNumber(get('quantity')));
+        const warnings = [];
+
+        if (!date || !type || !symbol || !(quantity > 0)) {
+            return { rowNumber, invalid: true, warnings: ['Row is missing a valid date, type, symbol or quantity.'] };
+        }
+
+        let price = parseNumber(get('price'));
+        if (isNaN(price)) price = 0;
+        const currency = mapping.currency ? toCurrency(get('currency')) : 'usd';
+        if (!currency) {
+            warnings.push(`Price currency ${get('currency')} is not supported; the cost basis is recorded as 0.`);
+            price = 0;
+        }
+        const fee = parseNumber(get('fee'));
+        if (fee > 0 && price > 0) {
+            price = type === 'sell' ? price - fee / quantity : price + fee / quantity;
+        }
+
+        return { rowNumber, date, type, symbol, quantity, price, currency: currency || 'usd', note: get('note') || 'Imported from CSV', externalId: null, warnings };
+    });
+};
+
+export const detectFormat = (text) => {
+    const rows = parseCsv(text).slice(0, 20);
+    if (findHeaderIndex(rows, ['txid', 'pair', 'time', 'type', 'vol']) !== -1) return 'kraken';
+    if (findHeaderIndex(rows, ['Timestamp', 'Transaction Type', 'Asset']) !== -1) return 'coinbase';
+    if (rows.some(row => row.some(c => /^date\(utc\)$/i.test(c.trim())) && row.some(c => /^(pair|market)$/i.test(c.trim())))) return 'binance';
+    return 'generic';
+};
+
+// Parses an export in the given format. Throws with a readable message when the file does not match.
+export const parseTradeCsv = (text, format, mapping = {}) => {
+    const rows = parseCsv(text);
+    if (rows.length < 2) throw new Error('The file has no data rows.');
+    const resolvedFormat = format === 'auto' ? detectFormat(text) : format;
+    switch (resolvedFormat) {
+        case 'binance': return parseBinance(rows);
+        case 'coinbase': return parseCoinbase(rows);
+        case 'kraken': return parseKraken(rows);
+        default: return parseGeneric(rows, mapping);
+    }
+};
+
+// --- Mapping to CoinGecko ids ---
+
+// Finds the CoinGecko coins that use a ticker. `coinId` is only set when the choice is
+// obvious (a single match or a well-known default); `ambiguous` tells the wizard to let the user pick.
+export const resolveSymbol = (symbol, allCoins) => {
+    const lower = String(symbol || '').toLowerCase();
+    const candidates = allCoins.filter(c => c.symbol.toLowerCase() === lower);
+    const preferred = PREFERRED_COIN_IDS[lower];
+    let coinId = null;
+    if (candidates.length === 1) coinId = candidates[0].id;
+    else if (preferred && candidates.some(c => c.id === preferred)) coinId = preferred;
+    return { coinId, candidates, ambiguous: candidates.length > 1 };
+};
+
+// --- Duplicate detection ---
+
+// Two entries are considered the same trade when coin, type, quantity and minute match.
+export const transactionFingerprint = (tx) => [
+    tx.portfolioId || '',
+    tx.coinId,
+    tx.type,
+    Number(tx.quantity).toFixed(8),
+    new Date(tx.date).toISOString().slice(0, 16),
+].join('|');
+
+// Returns the indexes of `candidates` that are already in `existing`. Candidates are never compared
+// with each other, since a file can hold identical fills. Each existing entry matches one candidate
+// at most, so importing three identical fills over a ledger holding two of them adds the third.
+export const findDuplicateIndexes = (candidates, existing) => {
+    const existingExternalIds = new Set(existing.map(tx => tx.externalId).filter(Boolean));
+    const unmatched = new Map();
+    existing.forEach(tx => {
+        const fingerprint = transactionFingerprint(tx);
+        unmatched.set(fingerprint, (unmatched.get(fingerprint) || 0) + 1);
+    });
+    const duplicates = new Set();
+    candidates.forEach((tx, index) => {
+        const fingerprint = transactionFingerprint(tx);
+        const isKnownId = Boolean(tx.externalId) && existingExternalIds.has(tx.externalId);
+        // Matching uses the entry up, also when the id matches, so an identical fill after it is new
+        if (unmatched.get(fingerprint) > 0) {
+            unmatched.set(fingerprint, unmatched.get(fingerprint) - 1);
+            duplicates.add(index);
+        } else if (isKnownId) {
+            duplicates.add(index);
+        }
+    });
+    return duplicates;
+};
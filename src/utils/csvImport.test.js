@@ -0,0 +1,84 @@
+import { parseCsv, parseTradeCsv, parseNumber, detectFormat, splitPair, resolveSymbol, findDuplicateIndexes } from './csvImport';
+
+test('parses quoted fields with commas and escaped quotes', () => {
+  expect(parseCsv('a,"b,c","say ""hi"""\r\n1,2,3\n')).toEqual([['a', 'b,c', 'say "hi"'], ['1', '2', '3']]);
+});
+
+test('reads a Binance trade history export', () => {
+  const csv = [
+    'Date(UTC),Pair,Side,Price,Executed,Amount,Fee',
+    '2024-01-05 10:00:00,BTCUSDT,BUY,40000,0.5BTC,"20,000USDT",10USDT',
+    '2024-02-05 10:00:00,ETHBTC,SELL,0.05,2ETH,0.1BTC,0.001ETH',
+  ].join('\n');
+  expect(detectFormat(csv)).toBe('binance');
+  const rows = parseTradeCsv(csv, 'auto');
+  expect(rows[0]).toMatchObject({ date: '2024-01-05T10:00:00.000Z', type: 'buy', symbol: 'BTC', quantity: 0.5, price: 40020, currency: 'usd' });
+  expect(rows[1]).toMatchObject({ type: 'sell', symbol: 'ETH', quantity: 2, price: 0.05, currency: 'btc' });
+  expect(rows[2]).toMatchObject({ type: 'fee', symbol: 'ETH', quantity: 0.001 });
+});
+
+test('reads a Coinbase export with a preamble and conversions', () => {
+  const csv = [
+    'Transactions',
+    'User,someone@example.com',
+    'Timestamp,Transaction Type,Asset,Quantity Transacted,Spot Price Currency,Spot Price at Transaction,Subtotal,Total (inclusive of fees and/or spread),Fees and/or Spread,Notes',
+    '2024-01-01T00:00:00Z,Buy,ETH,2,EUR,1000,2000,2010,10,Bought 2 ETH',
+    '2024-01-02T00:00:00Z,Convert,ETH,1,EUR,1100,1100,1100,0,Converted 1 ETH to 0.05 BTC',
+  ].join('\n');
+  const rows = parseTradeCsv(csv, 'coinbase');
+  expect(rows[0]).toMatchObject({ type: 'buy', symbol: 'ETH', quantity: 2, price: 1005, currency: 'eur' });
+  expect(rows[1]).toMatchObject({ type: 'sell', symbol: 'ETH', quantity: 1, price: 1100 });
+  expect(rows[2]).toMatchObject({ type: 'buy', symbol: 'BTC', quantity: 0.05, price: 22000 });
+});
+
+test('splits Kraken asset pairs', () => {
+  expect(splitPair('XXBTZUSD', 'kraken')).toEqual(['BTC', 'USD']);
+  expect(splitPair('XETHXXBT', 'kraken')).toEqual(['ETH', 'BTC']);
+  expect(splitPair('ADAEUR', 'kraken')).toEqual(['ADA', 'EUR']);
+});
+
+test('maps generic columns', () => {
+  const csv = 'When,Action,Coin,Amount,Cost\n2024-03-01,Deposit,sol,10,20';
+  const rows = parseTradeCsv(csv, 'generic', { date: 'When', type: 'Action', symbol: 'Coin', quantity: 'Amount', price: 'Cost' });
+  expect(rows[0]).toMatchObject({ type: 'transfer_in', symbol: 'SOL', quantity: 10, price: 20, currency: 'usd' });
+});
+
+test('flags ambiguous tickers and keeps a well-known default', () => {
+  const coins = [{ id: 'bitcoin', symbol: 'btc' }, { id: 'wrapped-btc-fork', symbol: 'btc' }, { id: 'solana', symbol: 'sol' }];
+  expect(resolveSymbol('BTC', coins)).toMatchObject({ coinId: 'bitcoin', ambiguous: true });
+  expect(resolveSymbol('SOL', coins)).toMatchObject({ coinId: 'solana', ambiguous: false });
+  expect(resolveSymbol('XYZ', coins)).toMatchObject({ coinId: null, ambiguous: false });
+});
+
+test('detects trades that are already in the ledger', () => {
+  const existing = [{ coinId: 'bitcoin', type: 'buy', quantity: 1, date: '2024-01-01T00:00:00.000Z' }];
+  const candidates = [
+    { coinId: 'bitcoin', type: 'buy', quantity: 1, date: '2024-01-01T00:00:30.000Z' },
+    { coinId: 'bitcoin', type: 'buy', quantity: 2, date: '2024-01-01T00:00:00.000Z' },
+    { coinId: 'bitcoin', type: 'buy', quantity: 2, date: '2024-01-01T00:00:00.000Z' },
+  ];
+  expect([...findDuplicateIndexes(candidates, existing)]).toEqual([0]);
+});
+
+test('keeps identical fills in one file apart', () => {
+  const csv = [
+    'Date(UTC),Pair,Side,Price,Executed,Amount,Fee',
+    '2024-01-05 10:00:00,BTCUSDT,BUY,40000,0.5BTC,"20,000USDT",10USDT',
+    '2024-01-05 10:00:00,BTCUSDT,BUY,40000,0.5BTC,"20,000USDT",10USDT',
+  ].join('\n');
+  const rows = parseTradeCsv(csv, 'binance').map(row => ({ ...row, coinId: 'bitcoin' }));
+  expect(rows[0].externalId).not.toBe(rows[1].externalId);
+  expect([...findDuplicateIndexes(rows, [])]).toEqual([]);
+  // Re-importing after the first fill was added only skips that one
+  expect([...findDuplicateIndexes(rows, [rows[0]])]).toEqual([0]);
+  expect([...findDuplicateIndexes(rows, rows)]).toEqual([0, 1]);
+});
+
+test('reads decimal commas and thousands separators', () => {
+  expect(parseNumber('$1,234.50')).toBe(1234.5);
+  expect(parseNumber('1.234,5')).toBe(1234.5);
+  expect(parseNumber('1.234.567,89 €')).toBe(1234567.89);
+  expect(parseNumber('0,25')).toBe(0.25);
+  expect(parseNumber('1,234')).toBe(1234);
+  expect(parseNumber('1,234,567')).toBe(1234567);
+});
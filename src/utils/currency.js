@@ -0,0 +1,118 @@
+// Base-currency support: the list of currencies, conversions between them and
+// the one formatter every money amount in the app goes through.
+
+export const CURRENCIES = [
+    { code: 'usd', label: 'US Dollar', decimals: 2 },
+    { code: 'eur', label: 'Euro', decimals: 2 },
+    { code: 'gbp', label: 'British Pound', decimals: 2 },
+    { code: 'inr', label: 'Indian Rupee', decimals: 2 },
+    { code: 'btc', label: 'Bitcoin', decimals: 8, symbol: '₿' },
+    { code: 'eth', label: 'Ether', decimals: 6, symbol: 'Ξ' },
+];
+
+export const DEFAULT_CURRENCY = 'usd';
+
+const getCurrency = (code) => CURRENCIES.find(c => c.code === code) || CURRENCIES[0];
+
+// Fraction digits an amount in the currency is shown with: 2 for fiat, 8 for BTC, 6 for ETH
+export const getCurrencyDecimals = (code) => getCurrency(code).decimals;
+
+// Formats an amount in the given currency for the user's locale.
+// Fiat uses Intl's currency style; BTC and ETH are not ISO 4217 codes, so they get their own symbol.
+export const formatMoney = (amount, currency = DEFAULT_CURRENCY, { decimals, compact = false } = {}) => {
+    if (typeof amount !== 'number' || isNaN(amount)) return 'N/A';
+    const { code, symbol, decimals: defaultDecimals } = getCurrency(currency);
+    const digits = decimals ?? defaultDecimals;
+    const options = compact
+        ? { notation: 'compact', maximumFractionDigits: 2 }
+        : { minimumFractionDigits: digits, maximumFractionDigits: digits };
+
+    if (symbol) {
+        return `${amount < 0 ? '-' : ''}${symbol}${Math.abs(amount).toLocaleString(undefined, options)}`;
+    }
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency: code.toUpperCase(), ...options }).format(amount);
+};
+
+// Loads CoinGecko's exchange rates, which are all quoted against BTC: { usd: { value }, eur: { value }, ... }.
+export const fetchExchangeRates = async () => {
+    const response = await fetch('https://api.coingecko.com/api/v3/exchange_rates');
+    if (!response.ok) throw new Error(`exchange_rates request failed with status ${response.status}`);
+    const data = await response.json();
+    return data.rates;
+};
+
+// Converts an amount between two currencies using BTC-quoted rates.
+// Returns null when a rate is missing so callers can tell "unknown" apart from zero.
+export const convertAmount = (amount, from, to, rates) => {
+    if (from === to) return amount;
+    const fromRate = rates?.[from]?.value;
+    const toRate = rates?.[to]?.value;
+    if (!fromRate || !toRate) return null;
+    return amount * (toRate / fromRate);
+};
+
+// The UTC day a transaction's exchange rate is looked up by, YYYY-MM-DD
+export const getRateDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Loads the rates of one currency for every day from `fromDay` to `toDay` (YYYY-MM-DD, inclusive) in a
+// single request, as { [day]: value }. The price of bitcoin in a currency is its BTC-quoted rate, as in
+// fetchExchangeRates. CoinGecko returns hourly prices for ranges up to 90 days and daily ones beyond;
+// the first price of each UTC day is kept, which is the one its per-day history gives too.
+export const fetchHistoricalRates = async (currency, fromDay, toDay) => {
+    const from = Date.parse(`${fromDay}T00:00:00Z`) / 1000;
+    const to = Date.parse(`${toDay}T23:59:59Z`) / 1000;
+    const response = await fetch(`https://api.coingecko.com/api/v3/coins/bitcoin/market_chart/range?vs_currency=${currency}&from=${from}&to=${to}`);
+    if (!response.ok) {
+        const error = new Error(`market_chart/range request failed with status ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    const { prices } = await response.json();
+    if (!Array.isArray(prices)) throw new Error(`No exchange rates for ${currency.toUpperCase()}`);
+    const rates = {};
+    [...prices].sort((a, b) => a[0] - b[0]).forEach(([time, value]) => {
+        const day = getRateDay(time);
+        if (!rates[day] && value > 0) rates[day] = value;
+    });
+    return rates;
+};
+
+// Adds the { [day]: value } of one currency to the historical rates, which are keyed by day like
+// { '2024-01-15': { usd: { value }, eur: { value } } }
+export const mergeHistoricalRates = (historicalRates, currency, rates) => {
+    const merged = { ...historicalRates };
+    Object.entries(rates).forEach(([day, value]) => {
+        merged[day] = { ...merged[day], [currency]: { value } };
+    });
+    return merged;
+};
+
+const needsConversion = (tx, baseCurrency) => Boolean(tx.price) && (tx.currency || DEFAULT_CURRENCY) !== baseCurrency;
+
+// The days each currency's rate is needed on to convert the transactions and has not been loaded
+// yet, as { [currency]: [day, ...] } with the days in order. The base currency is needed on every
+// day a transaction in another currency was made.
+export const getMissingRates = (transactions, baseCurrency, historicalRates = {}) => {
+    const missing = {};
+    transactions.filter(tx => needsConversion(tx, baseCurrency)).forEach(tx => {
+        const day = getRateDay(tx.date);
+        [tx.currency || DEFAULT_CURRENCY, baseCurrency].forEach(currency => {
+            if (historicalRates[day]?.[currency]) return;
+            missing[currency] = missing[currency] || new Set();
+            missing[currency].add(day);
+        });
+    });
+    return Object.fromEntries(Object.entries(missing).map(([currency, days]) => [currency, [...days].sort()]));
+};
+
+// Prices each transaction in `baseCurrency` at the rates of its own day (`historicalRates`, keyed by
+// getRateDay). Until those are loaded the current `exchangeRates` stand in and the transaction is
+// marked `fxApproximate`; without either the price is null, which costBasis.js keeps as unknown.
+export const convertTransactionPrices = (transactions, baseCurrency, { historicalRates = {}, exchangeRates } = {}) => transactions.map(tx => {
+    if (!needsConversion(tx, baseCurrency)) return { ...tx, price: tx.price || 0, fxApproximate: false };
+    const currency = tx.currency || DEFAULT_CURRENCY;
+    const price = convertAmount(tx.price, currency, baseCurrency, historicalRates[getRateDay(tx.date)]);
+    if (price !== null) return { ...tx, price, fxApproximate: false };
+    const approximate = convertAmount(tx.price, currency, baseCurrency, exchangeRates);
+    return { ...tx, price: approximate, fxApproximate: approximate !== null };
+});
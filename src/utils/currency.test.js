@@ -0,0 +1,59 @@
+import { convertAmount, convertTransactionPrices, fetchHistoricalRates, getMissingRates, getRateDay, mergeHistoricalRates } from './currency';
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+// BTC-quoted, like CoinGecko's rates
+const today = { usd: { value: 60000 }, eur: { value: 50000 } };
+const historical = { '2024-01-15': { usd: { value: 40000 }, eur: { value: 36000 } } };
+
+const tx = (id, price, currency, date) => ({ id, coinId: 'bitcoin', type: 'buy', quantity: 1, price, currency, date });
+
+test('converts through the BTC-quoted rates and returns null without one', () => {
+  expect(convertAmount(100, 'usd', 'eur', today)).toBeCloseTo(83.333, 3);
+  expect(convertAmount(100, 'usd', 'usd', null)).toBe(100);
+  expect(convertAmount(100, 'usd', 'eur', null)).toBeNull();
+});
+
+test('prices transactions at the rate of their day, falling back to an approximate one', () => {
+  const transactions = [
+    tx('a', 100, 'usd', '2024-01-15T10:00:00Z'),
+    tx('b', 100, 'usd', '2024-03-01T10:00:00Z'),
+    tx('c', 100, 'eur', '2024-03-01T10:00:00Z'),
+    // Legacy transactions have no currency and were entered in USD
+    tx('d', 100, undefined, '2024-01-15T10:00:00Z'),
+  ];
+  expect(getRateDay('2024-01-15T23:30:00Z')).toBe('2024-01-15');
+  expect(getMissingRates(transactions, 'eur', historical)).toEqual({ usd: ['2024-03-01'], eur: ['2024-03-01'] });
+
+  const [a, b, c, d] = convertTransactionPrices(transactions, 'eur', { historicalRates: historical, exchangeRates: today });
+  expect(a).toMatchObject({ price: 90, fxApproximate: false });
+  expect(b.price).toBeCloseTo(83.333, 3);
+  expect(b.fxApproximate).toBe(true);
+  expect(c).toMatchObject({ price: 100, fxApproximate: false });
+  expect(d).toMatchObject({ price: 90, fxApproximate: false });
+
+  const [, unknown] = convertTransactionPrices(transactions, 'eur', { historicalRates: historical });
+  expect(unknown).toMatchObject({ price: null, fxApproximate: false });
+});
+
+test('loads a range of days in one request and keeps the first price of each day', async () => {
+  const hour = 3600 * 1000;
+  const start = Date.parse('2024-01-15T00:00:00Z');
+  global.fetch = jest.fn(() => Promise.resolve({
+    ok: true,
+    json: async () => ({ prices: [[start + 25 * hour, 41000], [start, 40000], [start + hour, 40500]] }),
+  }));
+  const rates = await fetchHistoricalRates('usd', '2024-01-15', '2024-01-16');
+  expect(rates).toEqual({ '2024-01-15': 40000, '2024-01-16': 41000 });
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(global.fetch.mock.calls[0][0]).toContain('vs_currency=usd&from=1705276800&to=1705449599');
+
+  const merged = mergeHistoricalRates(historical, 'usd', rates);
+  expect(merged['2024-01-15']).toEqual({ usd: { value: 40000 }, eur: { value: 36000 } });
+  expect(merged['2024-01-16']).toEqual({ usd: { value: 41000 } });
+
+  global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 429 }));
+  await expect(fetchHistoricalRates('usd', '2024-01-15', '2024-01-16')).rejects.toMatchObject({ status: 429 });
+});
@@ -0,0 +1,141 @@
+// Historical portfolio value built from CoinGecko `market_chart` data.
+
+import { signedQuantity, sortTransactions } from './ledger';
+
+export const HISTORY_RANGES = [
+    { value: '1', label: '24h' },
+    { value: '7', label: '7d' },
+    { value: '30', label: '30d' },
+    { value: '365', label: '1y' },
+    { value: 'max', label: 'All' },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// CoinGecko picks the granularity from the requested range: 5-minutely up to 1 day,
+// hourly up to 90 days and daily beyond. Ranges of the same granularity can be sliced
+// out of each other, so a cached 30d series also answers a 7d request.
+const granularityOf = (days) => (days === 'max' || Number(days) > 90 ? 'daily' : Number(days) > 1 ? 'hourly' : 'minutely');
+const spanOf = (days) => (days === 'max' ? Infinity : Number(days));
+const CACHE_TTL = { minutely: 5 * 60 * 1000, hourly: 30 * 60 * 1000, daily: 6 * 60 * 60 * 1000 };
+
+// key -> { fetchedAt, days, promise }
+const chartCache = new Map();
+
+export const clearHistoryCache = () => chartCache.clear();
+
+const findCached = (coinId, days, vsCurrency) => {
+    const granularity = granularityOf(days);
+    const now = Date.now();
+    for (const entry of chartCache.values()) {
+        if (entry.coinId !== coinId || entry.vsCurrency !== vsCurrency) continue;
+        if (granularityOf(entry.days) !== granularity || spanOf(entry.days) < spanOf(days)) continue;
+        if (now - entry.fetchedAt > CACHE_TTL[granularity]) continue;
+        return entry;
+    }
+    return null;
+};
+
+// Resolves with the whole market_chart response, reusing cached responses (and requests
+// still in flight) whenever they cover the range.
+const loadMarketChart = (coinId, days, vsCurrency) => {
+    let entry = findCached(coinId, days, vsCurrency);
+    if (!entry) {
+        const promise = fetch(`https://api.coingecko.com/api/v3/coins/${coinId}/market_chart?vs_currency=${vsCurrency}&days=${days}`)
+            .then(response => {
+                if (!response.ok) throw new Error(`market_chart request failed with status ${response.status}`);
+                return response.json();
+            });
+        entry = { coinId, vsCurrency, days, fetchedAt: Date.now(), promise };
+        const key = `${coinId}:${vsCurrency}:${days}`;
+        chartCache.set(key, entry);
+        // Failed requests must not stay cached
+        promise.catch(() => chartCache.delete(key));
+    }
+    return entry.promise;
+};
+
+const withinRange = (points, days) => {
+    if (spanOf(days) === Infinity) return points;
+    const from = Date.now() - spanOf(days) * DAY_MS;
+    return points.filter(([timestamp]) => timestamp >= from);
+};
+
+// Returns [[timestamp, price], ...] for the requested range.
+export const fetchMarketChart = async (coinId, days, vsCurrency = 'usd') => (
+    withinRange((await loadMarketChart(coinId, days, vsCurrency)).prices || [], days)
+);
+
+// Returns [[timestamp, volume], ...], where every volume covers the 24 hours up to its timestamp.
+export const fetchMarketVolumes = async (coinId, days, vsCurrency = 'usd') => (
+    withinRange((await loadMarketChart(coinId, days, vsCurrency)).total_volumes || [], days)
+);
+
+export const getRangeStart = (days) => (days === 'max' ? -Infinity : Date.now() - spanOf(days) * DAY_MS);
+
+// Coins that were held at some point during the range.
+export const getHistoryCoinIds = (transactions, days) => {
+    const start = getRangeStart(days);
+    const ids = new Set();
+    const heldAtStart = {};
+    sortTransactions(transactions).forEach(tx => {
+        if (new Date(tx.date).getTime() >= start) {
+            ids.add(tx.coinId);
+        } else {
+            heldAtStart[tx.coinId] = Math.max(0, (heldAtStart[tx.coinId] || 0) + signedQuantity(tx));
+        }
+    });
+    Object.entries(heldAtStart).forEach(([coinId, quantity]) => {
+        if (quantity > 0) ids.add(coinId);
+    });
+    return [...ids];
+};
+
+// Walks a price series and the ledger side by side, yielding the quantity held at each point.
+export const quantitiesAlong = (transactions, coinId, timestamps) => {
+    const coinTxs = sortTransactions(transactions.filter(tx => tx.coinId === coinId));
+    const result = [];
+    let quantity = 0;
+    let index = 0;
+    timestamps.forEach(timestamp => {
+        while (index < coinTxs.length && new Date(coinTxs[index].date).getTime() <= timestamp) {
+            quantity = Math.max(0, quantity + signedQuantity(coinTxs[index]));
+            index++;
+        }
+        result.push(quantity);
+    });
+    return result;
+};
+
+// Combines per-coin price series ({ coinId: [[timestamp, price], ...] }) into
+// [{ timestamp, value }, ...], weighting every coin by the quantity held at that time.
+export const buildPortfolioHistory = (transactions, charts, days) => {
+    const series = Object.values(charts);
+    if (series.length === 0) return [];
+
+    // The densest series provides the time axis; the others are forward-filled onto it
+    const timeline = series.reduce((longest, s) => (s.length > longest.length ? s : longest), []).map(([timestamp]) => timestamp);
+    const totals = timeline.map(() => 0);
+
+    Object.entries(charts).forEach(([coinId, prices]) => {
+        const quantities = quantitiesAlong(transactions, coinId, timeline);
+        let priceIndex = 0;
+        let lastPrice = null;
+        timeline.forEach((timestamp, i) => {
+            while (priceIndex < prices.length && prices[priceIndex][0] <= timestamp) {
+                lastPrice = prices[priceIndex][1];
+                priceIndex++;
+            }
+            // Before the coin's first data point, back-fill with its earliest known price
+            const price = lastPrice !== null ? lastPrice : prices[0]?.[1];
+            if (price !== undefined) totals[i] += quantities[i] * price;
+        });
+    });
+
+    const points = timeline.map((timestamp, i) => ({ timestamp, value: totals[i] }));
+    if (days !== 'max') return points;
+
+    // For "All", start at the first trade rather than at the coin's listing date
+    const firstTrade = transactions.reduce((min, tx) => Math.min(min, new Date(tx.date).getTime()), Infinity);
+    return points.filter(point => point.timestamp >= firstTrade);
+};
@@ -0,0 +1,18 @@
+import { buildPortfolioHistory } from './history';
+
+test('weights each price point by the quantity held at that time', () => {
+  const transactions = [
+    { id: '1', coinId: 'bitcoin', type: 'buy', quantity: 1, price: 10, date: new Date(1000).toISOString() },
+    { id: '2', coinId: 'bitcoin', type: 'buy', quantity: 1, price: 10, date: new Date(3000).toISOString() },
+    { id: '3', coinId: 'ethereum', type: 'buy', quantity: 2, price: 5, date: new Date(1000).toISOString() },
+  ];
+  const charts = {
+    bitcoin: [[1000, 10], [2000, 20], [3000, 30]],
+    ethereum: [[1500, 5]],
+  };
+  expect(buildPortfolioHistory(transactions, charts, '7')).toEqual([
+    { timestamp: 1000, value: 10 + 2 * 5 },
+    { timestamp: 2000, value: 20 + 2 * 5 },
+    { timestamp: 3000, value: 2 * 30 + 2 * 5 },
+  ]);
+});
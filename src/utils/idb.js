@@ -0,0 +1,65 @@
+// Minimal promise wrapper around IndexedDB. Unlike localStorage it is also available
+// inside the service worker, so it is where the page and the worker share state.
+
+const DB_NAME = 'cryptohub';
+const DB_VERSION = 1;
+const STORE = 'keyval';
+
+let dbPromise = null;
+
+export const openDatabase = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Let the next call try again instead of caching the failure
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+};
+
+// Runs `action(store)` in one transaction and resolves with its result once the transaction commits.
+// `action` must only issue requests synchronously, or IndexedDB commits the transaction early.
+const withStore = async (mode, action) => {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        let result;
+        action(tx.objectStore(STORE), value => { result = value; });
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+};
+
+export const idbGet = (key) => withStore('readonly', (store, setResult) => {
+    const request = store.get(key);
+    request.onsuccess = () => setResult(request.result);
+});
+
+export const idbSet = (key, value) => withStore('readwrite', store => store.put(value, key));
+
+// Reads and updates a value atomically; resolves with the new value.
+export const idbUpdate = (key, updater) => withStore('readwrite', (store, setResult) => {
+    const request = store.get(key);
+    request.onsuccess = () => {
+        const next = updater(request.result);
+        store.put(next, key);
+        setResult(next);
+    };
+});
+
+// Reads and deletes a value atomically, so a queue can be consumed exactly once.
+export const idbTake = (key) => withStore('readwrite', (store, setResult) => {
+    const request = store.get(key);
+    request.onsuccess = () => {
+        setResult(request.result);
+        store.delete(key);
+    };
+});
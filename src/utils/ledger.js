@@ -0,0 +1,128 @@
+// Transaction ledger helpers.
+// Every trade is stored as its own entry and the holdings shown across the app
+// are derived from the ledger, so no individual trade is ever lost.
+
+import { DEFAULT_PORTFOLIO_ID, isInPortfolio } from './portfolios';
+
+export const TRANSACTION_TYPES = [
+    { value: 'buy', label: 'Buy' },
+    { value: 'sell', label: 'Sell' },
+    { value: 'transfer_in', label: 'Transfer In' },
+    { value: 'transfer_out', label: 'Transfer Out' },
+    { value: 'fee', label: 'Fee' },
+];
+
+// Types that bring coins into the portfolio; everything else removes them.
+export const INFLOW_TYPES = ['buy', 'transfer_in'];
+
+// Change in quantity caused by a transaction: positive for inflows, negative otherwise.
+export const signedQuantity = (tx) => (INFLOW_TYPES.includes(tx.type) ? tx.quantity : -tx.quantity);
+
+export const getTransactionTypeLabel = (type) => TRANSACTION_TYPES.find(t => t.value === type)?.label || type;
+
+// `price` is per coin, in `currency` (the currency the user entered it in).
+export const createTransaction = ({ coinId, type, quantity, price = 0, currency = 'usd', date, note = '' }) => ({
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    coinId,
+    type,
+    quantity,
+    price,
+    currency,
+    date: date || new Date().toISOString(),
+    note,
+});
+
+// Transactions saved before prices had a currency were entered in US dollars
+export const withCurrency = (tx) => (tx.currency ? tx : { ...tx, currency: 'usd' });
+
+// Oldest first. Array.prototype.sort is stable, so same-time entries keep their insertion order.
+export const sortTransactions = (transactions) => [...transactions].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+// Replays the ledger and returns one holding per coin using the average-cost method:
+// sells and outgoing transfers remove their share of the cost basis, while fees
+// remove coins but keep the basis (the fee becomes part of the cost of what is left).
+export const deriveHoldings = (transactions) => {
+    const byCoin = {};
+
+    sortTransactions(transactions).forEach(tx => {
+        if (!byCoin[tx.coinId]) byCoin[tx.coinId] = { id: tx.coinId, quantity: 0, costBasis: 0 };
+        const holding = byCoin[tx.coinId];
+
+        if (INFLOW_TYPES.includes(tx.type)) {
+            holding.quantity += tx.quantity;
+            holding.costBasis += tx.quantity * (tx.price || 0);
+        } else if (tx.type === 'fee') {
+            holding.quantity = Math.max(0, holding.quantity - tx.quantity);
+        } else {
+            const removed = Math.min(tx.quantity, holding.quantity);
+            const averageCost = holding.quantity > 0 ? holding.costBasis / holding.quantity : 0;
+            holding.quantity -= removed;
+            holding.costBasis -= removed * averageCost;
+        }
+
+        // Guard against floating point dust once a position is closed
+        if (holding.quantity < 1e-12) {
+            holding.quantity = 0;
+            holding.costBasis = 0;
+        }
+    });
+
+    return Object.values(byCoin).map(holding => ({
+        id: holding.id,
+        quantity: holding.quantity,
+        purchasePrice: holding.quantity > 0 ? holding.costBasis / holding.quantity : 0,
+    }));
+};
+
+// Quantity of a coin held at a given moment (inclusive), according to the ledger.
+export const getQuantityAt = (transactions, coinId, date = new Date()) => {
+    const time = new Date(date).getTime();
+    return sortTransactions(transactions.filter(tx => tx.coinId === coinId && new Date(tx.date).getTime() <= time))
+        .reduce((quantity, tx) => Math.max(0, quantity + signedQuantity(tx)), 0);
+};
+
+// The first sell, transfer out or fee that removes more of a coin than was held at its time, or
+// null when the ledger covers every outflow. Edits and removals check this, since lowering an
+// old buy can leave a later sale without coins.
+export const findUncoveredOutflow = (transactions, coinId) => {
+    let quantity = 0;
+    for (const tx of sortTransactions(transactions.filter(t => t.coinId === coinId))) {
+        quantity += signedQuantity(tx);
+        // Allows for floating point dust, like deriveHoldings
+        if (quantity < -1e-12) return tx;
+    }
+    return null;
+};
+
+// findUncoveredOutflow over every portfolio and coin that `changed` touches, with `transactions`
+// being the ledger as it would be saved. Adding, editing, removing and importing all go
+// through this, since a back-dated sell can leave a later one without coins too.
+export const findUncoveredChange = (transactions, changed) => {
+    const checked = new Set();
+    for (const { portfolioId = DEFAULT_PORTFOLIO_ID, coinId } of changed) {
+        const key = `${portfolioId}|${coinId}`;
+        if (checked.has(key)) continue;
+        checked.add(key);
+        const uncovered = findUncoveredOutflow(transactions.filter(tx => isInPortfolio(tx, portfolioId)), coinId);
+        if (uncovered) return uncovered;
+    }
+    return null;
+};
+
+// One-time conversion of the old `cryptoPortfolio` format ({ id, quantity, purchasePrice })
+// into opening buy transactions. The original trade dates were never stored.
+export const migrateLegacyPortfolio = (portfolio) => {
+    if (!Array.isArray(portfolio)) return [];
+    const migratedAt = new Date().toISOString();
+    return portfolio
+        .filter(item => item && item.id && item.quantity > 0)
+        .map(item => createTransaction({
+            coinId: item.id,
+            type: 'buy',
+            quantity: item.quantity,
+            price: item.purchasePrice || 0,
+            currency: 'usd',
+            date: migratedAt,
+            note: 'Migrated from previous portfolio',
+        }));
+};
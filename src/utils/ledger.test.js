@@ -0,0 +1,65 @@
+import { deriveHoldings, findUncoveredChange, findUncoveredOutflow, getQuantityAt, migrateLegacyPortfolio } from './ledger';
+
+const tx = (type, quantity, price, date, coinId = 'bitcoin') => ({ id: `${type}-${date}`, coinId, type, quantity, price, date });
+
+test('derives quantity and average cost from individual trades', () => {
+  const holdings = deriveHoldings([
+    tx('buy', 1, 100, '2024-01-01'),
+    tx('buy', 1, 300, '2024-02-01'),
+    tx('sell', 1, 500, '2024-03-01'),
+  ]);
+  expect(holdings).toEqual([{ id: 'bitcoin', quantity: 1, purchasePrice: 200 }]);
+});
+
+test('fees reduce quantity but keep the cost basis', () => {
+  const [holding] = deriveHoldings([
+    tx('buy', 2, 100, '2024-01-01'),
+    tx('fee', 1, 0, '2024-01-02'),
+  ]);
+  expect(holding.quantity).toBe(1);
+  expect(holding.purchasePrice).toBe(200);
+});
+
+test('replays trades in date order regardless of insertion order', () => {
+  const [holding] = deriveHoldings([
+    tx('transfer_out', 1, 0, '2024-02-01'),
+    tx('transfer_in', 3, 50, '2024-01-01'),
+  ]);
+  expect(holding.quantity).toBe(2);
+  expect(holding.purchasePrice).toBe(50);
+});
+
+test('reports the quantity held at a point in time', () => {
+  const ledger = [tx('buy', 2, 10, '2024-01-01'), tx('sell', 1, 20, '2024-03-01')];
+  expect(getQuantityAt(ledger, 'bitcoin', '2023-12-31')).toBe(0);
+  expect(getQuantityAt(ledger, 'bitcoin', '2024-02-01')).toBe(2);
+  expect(getQuantityAt(ledger, 'bitcoin', '2024-03-01')).toBe(1);
+});
+
+test('finds an outflow the ledger no longer covers', () => {
+  const ledger = [tx('buy', 2, 10, '2024-01-01'), tx('sell', 1.5, 20, '2024-03-01'), tx('fee', 0.5, 0, '2024-04-01')];
+  expect(findUncoveredOutflow(ledger, 'bitcoin')).toBeNull();
+  expect(findUncoveredOutflow([{ ...ledger[0], quantity: 1.8 }, ...ledger.slice(1)], 'bitcoin')).toBe(ledger[2]);
+  expect(findUncoveredOutflow([{ ...ledger[0], date: '2024-03-02' }, ...ledger.slice(1)], 'bitcoin')).toBe(ledger[1]);
+});
+
+test('checks every portfolio and coin a change touches', () => {
+  const ledger = [
+    { ...tx('buy', 1, 10, '2024-01-01'), portfolioId: 'a' },
+    { ...tx('sell', 1, 20, '2024-03-01'), portfolioId: 'a' },
+    { ...tx('buy', 1, 10, '2024-01-01'), portfolioId: 'b' },
+  ];
+  const backdated = { ...tx('sell', 0.5, 20, '2024-02-01'), portfolioId: 'a' };
+  expect(findUncoveredChange([...ledger, backdated], [backdated])).toBe(ledger[1]);
+  const elsewhere = { ...tx('sell', 0.5, 20, '2024-02-01'), portfolioId: 'b' };
+  expect(findUncoveredChange([...ledger, elsewhere], [elsewhere])).toBeNull();
+  const sellOnly = tx('sell', 1, 20, '2024-02-01', 'ethereum');
+  expect(findUncoveredChange([...ledger, sellOnly], [elsewhere, sellOnly])).toBe(sellOnly);
+});
+
+test('migrates a legacy averaged portfolio into opening buys', () => {
+  const migrated = migrateLegacyPortfolio([{ id: 'ethereum', quantity: 2, purchasePrice: 1500 }, { id: 'dust', quantity: 0 }]);
+  expect(migrated).toHaveLength(1);
+  expect(migrated[0]).toMatchObject({ coinId: 'ethereum', type: 'buy', quantity: 2, price: 1500 });
+  expect(deriveHoldings(migrated)).toEqual([{ id: 'ethereum', quantity: 2, purchasePrice: 1500 }]);
+});
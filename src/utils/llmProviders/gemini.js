@@ -0,0 +1,75 @@
+// Google Gemini. Requests go straight to Google with the user's own key, or through the
+// local proxy in server/gemini-proxy.js, which adds the key server-side.
+
+import { postForStream, readSseEvents } from './stream';
+
+export const GEMINI_MODEL = 'gemini-2.5-flash-preview-05-20';
+const GEMINI_API_URL = 'https://generativelanguage.googleapis.com';
+
+export const GEMINI_CONNECTION_MODES = [
+    { value: 'key', label: 'My own API key' },
+    { value: 'proxy', label: 'Local proxy server' },
+];
+
+export const DEFAULT_PROXY_URL = process.env.REACT_APP_GEMINI_PROXY_URL || 'http://localhost:8787';
+
+// `config` is { mode: 'key', apiKey } or { mode: 'proxy', proxyUrl }. Returns the URL, headers
+// and body for a Gemini `method` such as "streamGenerateContent". The key goes in a header,
+// never in the URL, so it does not end up in logs or history.
+export const buildGeminiRequest = (config, method, body, model = GEMINI_MODEL) => {
+    // Streamed answers come back as server-sent events
+    const path = `/v1beta/models/${model}:${method}${method === 'streamGenerateContent' ? '?alt=sse' : ''}`;
+    if (config.mode === 'proxy') {
+        return { url: `${config.proxyUrl.replace(/\/+$/, '')}${path}`, headers: {}, body };
+    }
+    return { url: `${GEMINI_API_URL}${path}`, headers: { 'x-goog-api-key': config.apiKey }, body };
+};
+
+// System messages are sent separately, as the `systemInstruction`
+export const toGeminiContents = (messages) => messages.filter(message => message.role !== 'system').map(message => {
+    if (message.role === 'tool') {
+        return { role: 'user', parts: message.toolResults.map(({ name, result }) => ({ functionResponse: { name, response: result } })) };
+    }
+    const parts = message.text ? [{ text: message.text }] : [];
+    (message.toolCalls || []).forEach(({ name, args, thoughtSignature }) => {
+        parts.push({ functionCall: { name, args }, ...(thoughtSignature ? { thoughtSignature } : {}) });
+    });
+    return { role: message.role === 'user' ? 'user' : 'model', parts };
+});
+
+export const buildGeminiBody = (messages, tools) => {
+    const body = { contents: toGeminiContents(messages) };
+    const system = messages.filter(message => message.role === 'system').map(message => message.text).join('\n\n');
+    if (system) body.systemInstruction = { parts: [{ text: system }] };
+    if (tools) body.tools = [{ functionDeclarations: tools }];
+    return body;
+};
+
+export const getCandidateParts = (data) => JSON.parse(data)?.candidates?.[0]?.content?.parts || [];
+
+export const geminiProvider = {
+    id: 'gemini',
+    name: 'Google Gemini',
+    supportsTools: true,
+    isReady: (config) => (config.mode === 'proxy' ? Boolean(config.proxyUrl) : Boolean(config.apiKey)),
+    streamChat: async (messages, config, onText, tools) => {
+        const { url, headers, body } = buildGeminiRequest(config, 'streamGenerateContent', buildGeminiBody(messages, tools));
+        let text = '';
+        const toolCalls = [];
+        await readSseEvents(await postForStream(url, { headers, body }), data => {
+            for (const part of getCandidateParts(data)) {
+                // Parts marked as thoughts are the model's reasoning, not the answer
+                if (part.text && !part.thought) {
+                    text += part.text;
+                    onText(part.text);
+                }
+                if (part.functionCall) {
+                    const { id, name, args } = part.functionCall;
+                    // Gemini does not always number its calls
+                    toolCalls.push({ id: id || `call-${toolCalls.length}`, name, args: args || {}, thoughtSignature: part.thoughtSignature });
+                }
+            }
+        });
+        return { text, toolCalls };
+    },
+};
@@ -0,0 +1,44 @@
+import { buildGeminiBody, buildGeminiRequest, geminiProvider, getCandidateParts } from './gemini';
+import { parseSseEvents } from './stream';
+
+test('sends the key in a header, or nothing through the proxy', () => {
+  const direct = buildGeminiRequest({ mode: 'key', apiKey: 'secret' }, 'generateContent', { contents: [] }, 'model');
+  expect(direct.url).toBe('https://generativelanguage.googleapis.com/v1beta/models/model:generateContent');
+  expect(direct.url).not.toContain('secret');
+  expect(direct.headers['x-goog-api-key']).toBe('secret');
+
+  const proxied = buildGeminiRequest({ mode: 'proxy', proxyUrl: 'http://localhost:8787/' }, 'generateContent', { contents: [] }, 'model');
+  expect(proxied.url).toBe('http://localhost:8787/v1beta/models/model:generateContent');
+  expect(proxied.headers).not.toHaveProperty('x-goog-api-key');
+
+  expect(geminiProvider.isReady({ mode: 'key', apiKey: '' })).toBe(false);
+  expect(geminiProvider.isReady({ mode: 'proxy', proxyUrl: 'http://localhost:8787' })).toBe(true);
+});
+
+test('parses streamed server-sent events across chunk boundaries', () => {
+  const event = (text) => `data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text }] } }] })}\r\n\r\n`;
+  const first = parseSseEvents(event('Hel') + event('lo').slice(0, 10));
+  expect(first.events.map(data => getCandidateParts(data)[0].text)).toEqual(['Hel']);
+  const second = parseSseEvents(first.rest + event('lo').slice(10));
+  expect(second.events.map(data => getCandidateParts(data)[0].text)).toEqual(['lo']);
+  expect(second.rest).toBe('');
+  expect(buildGeminiRequest({ mode: 'key', apiKey: 'k' }, 'streamGenerateContent', {}, 'm').url).toMatch(/:streamGenerateContent\?alt=sse$/);
+});
+
+test('sends tools, tool calls and their results in Gemini\'s format', () => {
+  const tools = [{ name: 'get_holdings', description: 'Lists holdings' }];
+  const body = buildGeminiBody([
+    { role: 'system', text: 'Be brief.' },
+    { role: 'user', text: 'What do I hold?' },
+    { role: 'model', text: '', toolCalls: [{ id: 'call-0', name: 'get_holdings', args: {} }] },
+    { role: 'tool', toolResults: [{ id: 'call-0', name: 'get_holdings', result: { holdings: [] } }] },
+  ], tools);
+  expect(body.systemInstruction).toEqual({ parts: [{ text: 'Be brief.' }] });
+  expect(body.tools).toEqual([{ functionDeclarations: tools }]);
+  expect(body.contents).toEqual([
+    { role: 'user', parts: [{ text: 'What do I hold?' }] },
+    { role: 'model', parts: [{ functionCall: { name: 'get_holdings', args: {} } }] },
+    { role: 'user', parts: [{ functionResponse: { name: 'get_holdings', response: { holdings: [] } } }] },
+  ]);
+  expect(buildGeminiBody([{ role: 'user', text: 'Hi' }])).toEqual({ contents: [{ role: 'user', parts: [{ text: 'Hi' }] }] });
+});
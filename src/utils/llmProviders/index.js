@@ -0,0 +1,21 @@
+// Assistant backends. Every provider implements the same small interface:
+//
+//   { id, name, supportsTools, isReady(config), streamChat(messages, config, onText, tools?) }
+//
+// `messages` is the conversation, ending with the new prompt. Each message is one of
+//   { role: 'system' | 'user' | 'model', text }
+//   { role: 'model', text, toolCalls: [{ id, name, args }] }
+//   { role: 'tool', toolResults: [{ id, name, result }] }
+// `tools` lists functions the model may call, as { name, description, parameters } with a JSON
+// schema. `streamChat` passes each piece of the answer to `onText` and resolves with
+// { text, toolCalls }. Failed requests throw errors that carry the HTTP `status`.
+
+import { geminiProvider } from './gemini';
+import { openaiProvider } from './openai';
+import { stubProvider } from './stub';
+
+export const LLM_PROVIDERS = [geminiProvider, openaiProvider, stubProvider];
+
+export const DEFAULT_LLM_PROVIDER = 'gemini';
+
+export const getLlmProvider = (id) => LLM_PROVIDERS.find(provider => provider.id === id) || LLM_PROVIDERS[0];
@@ -0,0 +1,54 @@
+import { buildAssistantRequest } from '../assistantPrompts';
+import { getDelta, mergeToolCallDeltas, toOpenAiMessages } from './openai';
+import { getLlmProvider } from '.';
+
+const portfolio = {
+  allCoins: [{ id: 'bitcoin', name: 'Bitcoin', symbol: 'btc' }],
+  portfolioData: [],
+  totalPortfolioValue: 0,
+  totalProfitLoss: 0,
+  totalProfitLossPercent: 0,
+  baseCurrency: 'usd',
+};
+
+test('expands shortcut phrases the same way for every provider', () => {
+  expect(buildAssistantRequest('Coin insight for BTC', portfolio).prompt).toContain('Bitcoin (BTC)');
+  expect(buildAssistantRequest('coin insight for nope', portfolio).reply).toContain('"nope"');
+  expect(buildAssistantRequest('Portfolio summary', portfolio).reply).toBe('Your portfolio is empty. Add some coins to get a summary!');
+  expect(buildAssistantRequest('What is a DAO?', portfolio)).toEqual({ prompt: 'What is a DAO?' });
+});
+
+test('streams a canned reply from the stub without any network', async () => {
+  const pieces = [];
+  const { text, toolCalls } = await getLlmProvider('stub').streamChat([{ role: 'user', text: 'Hello there' }], {}, piece => pieces.push(piece));
+  expect(pieces.length).toBeGreaterThan(1);
+  expect(pieces.join('')).toBe(text);
+  expect(text).toContain('"Hello there"');
+  expect(toolCalls).toEqual([]);
+  expect(getLlmProvider('unknown').id).toBe('gemini');
+});
+
+test('maps messages to OpenAI-compatible chat completions', () => {
+  expect(toOpenAiMessages([{ role: 'user', text: 'Hi' }, { role: 'model', text: 'Hello' }])).toEqual([
+    { role: 'user', content: 'Hi' },
+    { role: 'assistant', content: 'Hello' },
+  ]);
+  expect(getDelta(JSON.stringify({ choices: [{ delta: { content: 'Hel' } }] }))).toEqual({ content: 'Hel' });
+  expect(getDelta('[DONE]')).toEqual({});
+
+  expect(toOpenAiMessages([
+    { role: 'model', text: '', toolCalls: [{ id: 'call_1', name: 'get_prices', args: { coins: ['BTC'] } }] },
+    { role: 'tool', toolResults: [{ id: 'call_1', name: 'get_prices', result: { prices: [] } }] },
+  ])).toEqual([
+    { role: 'assistant', content: '', tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_prices', arguments: '{"coins":["BTC"]}' } }] },
+    { role: 'tool', tool_call_id: 'call_1', content: '{"prices":[]}' },
+  ]);
+});
+
+test('assembles streamed tool call fragments', () => {
+  let calls = mergeToolCallDeltas([], [{ index: 0, id: 'call_1', function: { name: 'get_prices', arguments: '' } }]);
+  calls = mergeToolCallDeltas(calls, [{ index: 0, function: { arguments: '{"coins":' } }]);
+  calls = mergeToolCallDeltas(calls, [{ index: 0, function: { arguments: '["BTC"]}' } }]);
+  calls = mergeToolCallDeltas(calls, undefined);
+  expect(calls).toEqual([{ id: 'call_1', name: 'get_prices', arguments: '{"coins":["BTC"]}' }]);
+});
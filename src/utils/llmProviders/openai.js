@@ -0,0 +1,75 @@
+// Any OpenAI-compatible chat completions endpoint: OpenAI itself, or a local server such as
+// Ollama (http://localhost:11434/v1) or llama.cpp (http://localhost:8080/v1). Local servers
+// usually need no key, but must allow requests from the app's origin.
+
+import { postForStream, readSseEvents } from './stream';
+
+export const DEFAULT_OPENAI_BASE_URL = 'http://localhost:11434/v1';
+export const DEFAULT_OPENAI_MODEL = 'llama3.1';
+
+export const toOpenAiMessages = (messages) => messages.flatMap(message => {
+    if (message.role === 'tool') {
+        return message.toolResults.map(({ id, result }) => ({ role: 'tool', tool_call_id: id, content: JSON.stringify(result) }));
+    }
+    if (message.role !== 'model') return [{ role: message.role, content: message.text }];
+    const toolCalls = (message.toolCalls || []).map(({ id, name, args }) => ({ id, type: 'function', function: { name, arguments: JSON.stringify(args) } }));
+    return [{ role: 'assistant', content: message.text, ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {}) }];
+});
+
+export const toOpenAiTools = (tools) => tools.map(({ name, description, parameters }) => ({
+    type: 'function',
+    function: { name, description, parameters: parameters || { type: 'object', properties: {} } },
+}));
+
+// The stream ends with a literal "[DONE]" event
+export const getDelta = (data) => (data === '[DONE]' ? {} : JSON.parse(data)?.choices?.[0]?.delta || {});
+
+// Tool calls arrive in fragments: the id and name first, then the arguments a few characters
+// at a time, matched up by `index`.
+export const mergeToolCallDeltas = (calls, deltas = []) => {
+    const merged = [...calls];
+    deltas.forEach(({ index = 0, id, function: fn = {} }) => {
+        const call = merged[index] || { id: '', name: '', arguments: '' };
+        merged[index] = {
+            id: id || call.id,
+            name: call.name + (fn.name || ''),
+            arguments: call.arguments + (fn.arguments || ''),
+        };
+    });
+    return merged;
+};
+
+const parseArguments = (text) => {
+    try {
+        return JSON.parse(text || '{}');
+    } catch (error) {
+        return {};
+    }
+};
+
+export const openaiProvider = {
+    id: 'openai',
+    name: 'OpenAI-compatible',
+    // Local models without tool calling reject requests that list tools; pick one that has it
+    supportsTools: true,
+    // `config` is { baseUrl, model, apiKey? }
+    isReady: (config) => Boolean(config.baseUrl && config.model),
+    streamChat: async (messages, config, onText, tools) => {
+        const response = await postForStream(`${config.baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+            headers: config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {},
+            body: { model: config.model, messages: toOpenAiMessages(messages), stream: true, ...(tools ? { tools: toOpenAiTools(tools) } : {}) },
+        });
+        let text = '';
+        let calls = [];
+        await readSseEvents(response, data => {
+            const delta = getDelta(data);
+            if (delta.content) {
+                text += delta.content;
+                onText(delta.content);
+            }
+            calls = mergeToolCallDeltas(calls, delta.tool_calls);
+        });
+        const toolCalls = calls.filter(Boolean).map((call, index) => ({ id: call.id || `call-${index}`, name: call.name, args: parseArguments(call.arguments) }));
+        return { text, toolCalls };
+    },
+};
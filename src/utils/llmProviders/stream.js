@@ -0,0 +1,42 @@
+// Helpers for backends that stream their answers as server-sent events.
+
+// POSTs JSON and turns failed responses into errors that carry `status`, so the assistant
+// can tell a rejected key from an outage.
+export const postForStream = async (url, { headers = {}, body }) => {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+    });
+    if (!response.ok) {
+        const error = new Error(`${new URL(url).hostname} request failed with status ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    return response;
+};
+
+// Splits buffered events into their `data:` payloads and the incomplete remainder.
+export const parseSseEvents = (buffer) => {
+    const parts = buffer.replace(/\r\n/g, '\n').split('\n\n');
+    const rest = parts.pop();
+    const events = parts
+        .map(part => part.split('\n').filter(line => line.startsWith('data:')).map(line => line.slice(5).trim()).join(''))
+        .filter(Boolean);
+    return { events, rest };
+};
+
+// Reads an event stream and passes every `data:` payload to `onData`.
+export const readSseEvents = async (response, onData) => {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for (;;) {
+        const { done, value } = await reader.read();
+        buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+        const { events, rest } = parseSseEvents(done ? `${buffer}\n\n` : buffer);
+        buffer = rest;
+        for (const data of events) onData(data);
+        if (done) return;
+    }
+};
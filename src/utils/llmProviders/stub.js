@@ -0,0 +1,21 @@
+// Canned answers that never touch the network: for tests, demos and working on the assistant
+// without a model. The same conversation always gets the same reply.
+
+export const getStubReply = (messages) => {
+    const prompt = messages[messages.length - 1]?.text || '';
+    const quoted = prompt.length > 200 ? `${prompt.slice(0, 199)}…` : prompt;
+    return `**Stub reply.** No model was called. You asked: "${quoted.replace(/\n/g, ' ')}"\n\nEarlier messages in this conversation: ${messages.length - 1}.`;
+};
+
+export const stubProvider = {
+    id: 'stub',
+    name: 'Canned replies (stub)',
+    supportsTools: false,
+    isReady: () => true,
+    streamChat: async (messages, config, onText) => {
+        const reply = getStubReply(messages);
+        // Streamed word by word like a real backend
+        (reply.match(/\S+\s*/g) || []).forEach(onText);
+        return { text: reply, toolCalls: [] };
+    },
+};
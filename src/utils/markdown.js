@@ -0,0 +1,88 @@
+// Parses the small markdown subset Gemini answers with into a tree that React renders
+// directly, so model output is never injected as HTML.
+//
+// Blocks:  { type: 'heading', level, children } | { type: 'paragraph', children }
+//          | { type: 'list', ordered, items: [children] } | { type: 'code', text }
+// Inline:  { type: 'text', text } | { type: 'strong' | 'em', children }
+//          | { type: 'code', text } | { type: 'link', href, children }
+
+const INLINE_PATTERN = /(`[^`]+`)|(\*\*[^*]+\*\*|__[^_]+__)|(\*[^*\s][^*]*\*|_[^_\s][^_]*_)|(\[[^\]]+\]\([^)\s]+\))/;
+
+// Links to anything but http(s) and mailto are rendered as plain text
+const isSafeHref = (href) => /^(https?:|mailto:)/i.test(href);
+
+export const parseInline = (text) => {
+    const nodes = [];
+    let rest = text;
+    while (rest) {
+        const match = rest.match(INLINE_PATTERN);
+        if (!match) {
+            nodes.push({ type: 'text', text: rest });
+            break;
+        }
+        if (match.index > 0) nodes.push({ type: 'text', text: rest.slice(0, match.index) });
+        const [token, code, strong, em, link] = match;
+        if (code) {
+            nodes.push({ type: 'code', text: code.slice(1, -1) });
+        } else if (strong) {
+            nodes.push({ type: 'strong', children: parseInline(strong.slice(2, -2)) });
+        } else if (em) {
+            nodes.push({ type: 'em', children: parseInline(em.slice(1, -1)) });
+        } else if (link) {
+            const [, label, href] = link.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+            nodes.push(isSafeHref(href) ? { type: 'link', href, children: parseInline(label) } : { type: 'text', text: label });
+        }
+        rest = rest.slice(match.index + token.length);
+    }
+    return nodes;
+};
+
+const LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+
+export const parseMarkdown = (markdown = '') => {
+    const lines = markdown.replace(/\r\n/g, '\n').split('\n');
+    const blocks = [];
+    let paragraph = [];
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) blocks.push({ type: 'paragraph', children: parseInline(paragraph.join(' ')) });
+        paragraph = [];
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (line.trim().startsWith('```')) {
+            flushParagraph();
+            const code = [];
+            // An unterminated fence (e.g. while a reply is still streaming) runs to the end
+            for (i += 1; i < lines.length && !lines[i].trim().startsWith('```'); i++) code.push(lines[i]);
+            blocks.push({ type: 'code', text: code.join('\n') });
+            continue;
+        }
+        const heading = line.match(/^(#{1,6})\s+(.*)$/);
+        if (heading) {
+            flushParagraph();
+            blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2].trim()) });
+            continue;
+        }
+        const item = line.match(LIST_ITEM);
+        if (item) {
+            flushParagraph();
+            const ordered = /\d/.test(item[1]);
+            const last = blocks[blocks.length - 1];
+            if (last?.type === 'list' && last.ordered === ordered && lines[i - 1]?.trim()) {
+                last.items.push(parseInline(item[2]));
+            } else {
+                blocks.push({ type: 'list', ordered, items: [parseInline(item[2])] });
+            }
+            continue;
+        }
+        if (!line.trim()) {
+            flushParagraph();
+            continue;
+        }
+        paragraph.push(line.trim());
+    }
+    flushParagraph();
+    return blocks;
+};
@@ -0,0 +1,29 @@
+import { parseInline, parseMarkdown } from './markdown';
+
+test('parses headings, lists, code blocks and paragraphs', () => {
+  const blocks = parseMarkdown('## Summary\nBitcoin is **up**\ntoday.\n\n- one\n- two\n\n1. first\n\n```\nconst x = 1;\n```');
+  expect(blocks.map(b => b.type)).toEqual(['heading', 'paragraph', 'list', 'list', 'code']);
+  expect(blocks[0].level).toBe(2);
+  expect(blocks[1].children).toEqual([
+    { type: 'text', text: 'Bitcoin is ' },
+    { type: 'strong', children: [{ type: 'text', text: 'up' }] },
+    { type: 'text', text: ' today.' },
+  ]);
+  expect(blocks[2]).toMatchObject({ ordered: false, items: [[{ text: 'one' }], [{ text: 'two' }]] });
+  expect(blocks[3].ordered).toBe(true);
+  expect(blocks[4].text).toBe('const x = 1;');
+});
+
+test('keeps unsafe links as plain text', () => {
+  expect(parseInline('see [docs](https://example.com) and `code`')).toEqual([
+    { type: 'text', text: 'see ' },
+    { type: 'link', href: 'https://example.com', children: [{ type: 'text', text: 'docs' }] },
+    { type: 'text', text: ' and ' },
+    { type: 'code', text: 'code' },
+  ]);
+  expect(parseInline('[click](javascript:alert(1))')).not.toContainEqual(expect.objectContaining({ type: 'link' }));
+});
+
+test('renders an unterminated code fence while streaming', () => {
+  expect(parseMarkdown('```\npartial')).toEqual([{ type: 'code', text: 'partial' }]);
+});
@@ -0,0 +1,63 @@
+// Feedback for fired alerts beyond the toast: a persistent inbox, desktop notifications and a sound.
+
+export const DEFAULT_NOTIFICATION_SETTINGS = { desktop: false, sound: false };
+
+// Older entries are dropped so the inbox stays small in localStorage
+export const MAX_NOTIFICATIONS = 100;
+
+export const createNotification = ({ alertId = null, title, body, firedAt = new Date().toISOString() }) => ({
+    id: `notification-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    alertId,
+    title,
+    body,
+    firedAt,
+    read: false,
+});
+
+// Newest first.
+export const addNotifications = (inbox, entries) => [...[...entries].reverse(), ...inbox].slice(0, MAX_NOTIFICATIONS);
+
+export const countUnread = (inbox) => inbox.filter(entry => !entry.read).length;
+
+export const markNotificationsRead = (inbox, ids = null) => inbox.map(entry => (
+    !entry.read && (ids === null || ids.includes(entry.id)) ? { ...entry, read: true } : entry
+));
+
+// 'granted', 'denied', 'default' or 'unsupported' when the browser has no Notifications API.
+export const getNotificationPermission = () => (typeof window !== 'undefined' && 'Notification' in window ? window.Notification.permission : 'unsupported');
+
+export const requestNotificationPermission = async () => {
+    if (getNotificationPermission() === 'unsupported') return 'unsupported';
+    return window.Notification.requestPermission();
+};
+
+export const showDesktopNotification = ({ title, body, tag }) => {
+    if (getNotificationPermission() !== 'granted') return;
+    try {
+        new window.Notification(title, { body, tag, icon: `${process.env.PUBLIC_URL}/logo192.png` });
+    } catch (error) {
+        // Some mobile browsers only allow notifications from a service worker
+        console.error('Error showing notification:', error);
+    }
+};
+
+let audioContext = null;
+
+// A short two-tone chime generated with the Web Audio API, so no sound file has to be shipped.
+export const playAlertSound = () => {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return;
+    audioContext = audioContext || new AudioContext();
+    const start = audioContext.currentTime;
+    [880, 1320].forEach((frequency, i) => {
+        const oscillator = audioContext.createOscillator();
+        const gain = audioContext.createGain();
+        oscillator.type = 'sine';
+        oscillator.frequency.value = frequency;
+        gain.gain.setValueAtTime(0.2, start + i * 0.15);
+        gain.gain.exponentialRampToValueAtTime(0.001, start + i * 0.15 + 0.3);
+        oscillator.connect(gain).connect(audioContext.destination);
+        oscillator.start(start + i * 0.15);
+        oscillator.stop(start + i * 0.15 + 0.3);
+    });
+};
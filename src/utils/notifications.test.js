@@ -0,0 +1,23 @@
+import { addNotifications, countUnread, createNotification, markNotificationsRead, MAX_NOTIFICATIONS } from './notifications';
+
+test('keeps the newest entries first and tracks unread ones', () => {
+  const first = createNotification({ title: 'First', body: '' });
+  const second = createNotification({ title: 'Second', body: '' });
+  const third = createNotification({ title: 'Third', body: '' });
+
+  let inbox = addNotifications([], [first]);
+  inbox = addNotifications(inbox, [second, third]);
+  expect(inbox.map(n => n.title)).toEqual(['Third', 'Second', 'First']);
+  expect(countUnread(inbox)).toBe(3);
+
+  inbox = markNotificationsRead(inbox, [second.id]);
+  expect(countUnread(inbox)).toBe(2);
+  expect(countUnread(markNotificationsRead(inbox))).toBe(0);
+});
+
+test('drops the oldest entries beyond the limit', () => {
+  const entries = Array.from({ length: MAX_NOTIFICATIONS + 5 }, (_, i) => createNotification({ title: `#${i}`, body: '' }));
+  const inbox = addNotifications([], entries);
+  expect(inbox).toHaveLength(MAX_NOTIFICATIONS);
+  expect(inbox[0].title).toBe(`#${MAX_NOTIFICATIONS + 4}`);
+});
@@ -0,0 +1,25 @@
+// Named portfolios (wallets, exchange accounts, ...). Transactions and alerts carry the
+// id of the portfolio they belong to; the combined view spans all of them.
+
+export const DEFAULT_PORTFOLIO_ID = 'default';
+export const COMBINED_PORTFOLIO_ID = 'all';
+
+export const DEFAULT_PORTFOLIOS = [{ id: DEFAULT_PORTFOLIO_ID, name: 'Main Portfolio' }];
+
+export const createPortfolio = (name) => ({
+    id: `portfolio-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+});
+
+// Records saved before portfolios existed belong to the default one.
+export const withPortfolioId = (record) => (record.portfolioId ? record : { ...record, portfolioId: DEFAULT_PORTFOLIO_ID });
+
+export const isInPortfolio = (record, portfolioId) => (
+    portfolioId === COMBINED_PORTFOLIO_ID || (record.portfolioId || DEFAULT_PORTFOLIO_ID) === portfolioId
+);
+
+export const getPortfolioName = (portfolios, portfolioId) => (
+    portfolioId === COMBINED_PORTFOLIO_ID
+        ? 'All Portfolios'
+        : portfolios.find(p => p.id === portfolioId)?.name || 'Unknown Portfolio'
+);
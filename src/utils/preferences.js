@@ -0,0 +1,191 @@
+// User preferences, kept together under one versioned localStorage key. Before the store
+// existed every preference had a key of its own; those are read once, upgraded like old
+// backups are (see backup.js) and removed on the next save.
+
+import { CURRENCIES, DEFAULT_CURRENCY, convertAmount, formatMoney } from './currency';
+import { COST_BASIS_METHODS, DEFAULT_COST_BASIS_METHOD } from './costBasis';
+import { TAX_YEAR_STARTS, DEFAULT_TAX_YEAR_START } from './taxReport';
+import { DEFAULT_NOTIFICATION_SETTINGS } from './notifications';
+import { DEFAULT_THEME_PREFERENCE, normalizeChartColors, normalizeThemePreference } from './theme';
+import { normalizeWalletEndpoints } from './wallets';
+import { normalizeAiSettings } from './aiSettings';
+
+export const PREFERENCES_KEY = 'cryptoPreferences';
+export const PREFERENCES_VERSION = 2;
+
+export const REFRESH_INTERVALS = [
+    { value: 30000, label: '30 seconds' },
+    { value: 60000, label: '1 minute' },
+    { value: 120000, label: '2 minutes' },
+    { value: 300000, label: '5 minutes' },
+    { value: 900000, label: '15 minutes' },
+];
+
+// Fraction digits of money amounts; null keeps each currency's own (2 for fiat, 8 for BTC)
+export const DECIMAL_PRECISIONS = [
+    { value: null, label: 'Currency default' },
+    { value: 0, label: '0 (1,235)' },
+    { value: 2, label: '2 (1,234.57)' },
+    { value: 4, label: '4 (1,234.5678)' },
+    { value: 8, label: '8 (1,234.56780000)' },
+];
+
+export const MOVER_COUNTS = [3, 5, 10];
+
+export const MASKED_VALUE = '••••••';
+
+export const DEFAULT_PREFERENCES = {
+    theme: DEFAULT_THEME_PREFERENCE,
+    // null uses the theme's own chart colors, see theme/CHART_THEMES
+    chartColors: null,
+    baseCurrency: DEFAULT_CURRENCY,
+    refreshIntervalMs: 60000,
+    decimals: null,
+    // Holdings worth less than the threshold are left out of the holdings table. The threshold keeps
+    // the currency it was entered in, so switching the base currency to BTC does not turn 1 USD into 1 BTC.
+    hideSmallBalances: false,
+    smallBalanceThreshold: 1,
+    smallBalanceCurrency: 'usd',
+    // Masks amounts and quantities, e.g. while sharing the screen
+    privacyMode: false,
+    landingPage: '/',
+    moverCount: 3,
+    costBasisMethod: DEFAULT_COST_BASIS_METHOD,
+    taxYearStart: DEFAULT_TAX_YEAR_START,
+    streamingPrices: false,
+    // null uses the default order, see priceProviders/getConfiguredOrder
+    priceProviders: null,
+    notifications: DEFAULT_NOTIFICATION_SETTINGS,
+    walletEndpoints: normalizeWalletEndpoints(),
+    ai: normalizeAiSettings(),
+};
+
+// The keys each preference had before the store; also removed once the store is saved
+export const LEGACY_PREFERENCE_KEYS = {
+    theme: 'cryptoTheme',
+    baseCurrency: 'cryptoBaseCurrency',
+    costBasisMethod: 'cryptoCostBasisMethod',
+    taxYearStart: 'cryptoTaxYearStart',
+    streamingPrices: 'cryptoStreamingPrices',
+    priceProviders: 'cryptoPriceProviders',
+    notifications: 'cryptoNotificationSettings',
+    walletEndpoints: 'cryptoWalletEndpoints',
+    ai: 'cryptoAiSettings',
+};
+
+const isOneOf = (options, value) => options.some(option => option.value === value);
+const pick = (value, isValid, fallback) => (isValid(value) ? value : fallback);
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isCurrency = (value) => CURRENCIES.some(c => c.code === value);
+
+// Plain-string values were saved as they are, the rest as JSON
+const parseLegacy = (value) => {
+    if (value === null || value === undefined) return undefined;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return value;
+    }
+};
+
+// Before version 2 the small balance threshold was in whatever the base currency was. Backups
+// of that time need the same step, see backup.js.
+export const withSmallBalanceCurrency = (preferences) => (
+    isObject(preferences) && preferences.smallBalanceThreshold !== undefined && preferences.smallBalanceCurrency === undefined
+        ? { ...preferences, smallBalanceCurrency: preferences.baseCurrency }
+        : preferences
+);
+
+// Keyed by the version they upgrade from; each step returns a stored object one version newer.
+const UPGRADES = {
+    // Version 0: the raw values of the legacy keys, { cryptoTheme: 'dark', cryptoAiSettings: '{...}', ... }
+    0: ({ preferences: raw }) => ({
+        version: 1,
+        preferences: Object.fromEntries(
+            Object.entries(LEGACY_PREFERENCE_KEYS).map(([name, key]) => [name, parseLegacy(raw[key])])
+        ),
+    }),
+    1: ({ preferences }) => ({ version: 2, preferences: withSmallBalanceCurrency(preferences) }),
+};
+
+// Fills in defaults and drops values that are no longer valid.
+export const normalizePreferences = (saved) => {
+    const p = isObject(saved) ? saved : {};
+    const d = DEFAULT_PREFERENCES;
+    return {
+        theme: normalizeThemePreference(p.theme),
+        chartColors: normalizeChartColors(p.chartColors),
+        baseCurrency: pick(p.baseCurrency, isCurrency, d.baseCurrency),
+        refreshIntervalMs: pick(p.refreshIntervalMs, value => isOneOf(REFRESH_INTERVALS, value), d.refreshIntervalMs),
+        decimals: pick(p.decimals, value => isOneOf(DECIMAL_PRECISIONS, value), d.decimals),
+        hideSmallBalances: pick(p.hideSmallBalances, value => typeof value === 'boolean', d.hideSmallBalances),
+        smallBalanceThreshold: pick(p.smallBalanceThreshold, value => Number.isFinite(value) && value >= 0, d.smallBalanceThreshold),
+        smallBalanceCurrency: pick(p.smallBalanceCurrency, isCurrency, d.smallBalanceCurrency),
+        privacyMode: pick(p.privacyMode, value => typeof value === 'boolean', d.privacyMode),
+        landingPage: pick(p.landingPage, value => typeof value === 'string' && value.startsWith('/'), d.landingPage),
+        moverCount: pick(p.moverCount, value => MOVER_COUNTS.includes(value), d.moverCount),
+        costBasisMethod: pick(p.costBasisMethod, value => isOneOf(COST_BASIS_METHODS, value), d.costBasisMethod),
+        taxYearStart: pick(p.taxYearStart, value => isOneOf(TAX_YEAR_STARTS, value), d.taxYearStart),
+        streamingPrices: pick(p.streamingPrices, value => typeof value === 'boolean', d.streamingPrices),
+        priceProviders: pick(p.priceProviders, Array.isArray, d.priceProviders),
+        notifications: { ...d.notifications, ...(isObject(p.notifications) ? p.notifications : {}) },
+        walletEndpoints: normalizeWalletEndpoints(p.walletEndpoints),
+        ai: normalizeAiSettings(isObject(p.ai) ? p.ai : undefined),
+    };
+};
+
+export const loadPreferences = (storage = localStorage) => {
+    let stored;
+    try {
+        stored = JSON.parse(storage.getItem(PREFERENCES_KEY));
+    } catch (error) {
+        stored = null;
+    }
+    if (!isObject(stored) || typeof stored.version !== 'number') {
+        const raw = Object.fromEntries(Object.values(LEGACY_PREFERENCE_KEYS).map(key => [key, storage.getItem(key)]));
+        stored = { version: 0, preferences: raw };
+    }
+    while (UPGRADES[stored.version]) stored = UPGRADES[stored.version](stored);
+    return normalizePreferences(stored.preferences);
+};
+
+export const savePreferences = (preferences, storage = localStorage) => {
+    storage.setItem(PREFERENCES_KEY, JSON.stringify({ version: PREFERENCES_VERSION, preferences }));
+    Object.values(LEGACY_PREFERENCE_KEYS).forEach(key => storage.removeItem(key));
+};
+
+// `value` may be an updater function, like a state setter's
+export const updatePreference = (preferences, name, value) => ({
+    ...preferences,
+    [name]: typeof value === 'function' ? value(preferences[name]) : value,
+});
+
+// Preferences as they go into a backup; API keys never leave this browser
+export const getBackupPreferences = (preferences) => ({ ...preferences, ai: { ...preferences.ai, storedKeys: {} } });
+
+// Preferences restored from a backup over the current ones, which keep this browser's API keys
+export const restorePreferences = (current, saved) => normalizePreferences({
+    ...current,
+    ...saved,
+    ai: { ...(isObject(saved.ai) ? saved.ai : current.ai), storedKeys: current.ai.storedKeys },
+});
+
+// `value` is in the base currency. Coins without a price are never counted as small, since their
+// value is unknown, and neither is anything while the threshold cannot be converted.
+export const isSmallBalance = (value, preferences, exchangeRates) => {
+    if (!preferences.hideSmallBalances || typeof value !== 'number') return false;
+    const threshold = convertAmount(preferences.smallBalanceThreshold, preferences.smallBalanceCurrency, preferences.baseCurrency, exchangeRates);
+    return threshold !== null && value < threshold;
+};
+
+// The formatters every amount and quantity on screen goes through, so precision and privacy
+// mode apply everywhere. `money` and `quantity` are the user's own and get masked; `price` is
+// market data and does not. Exports such as the tax report keep using formatMoney directly.
+export const createFormatters = ({ baseCurrency, decimals, privacyMode }) => {
+    const price = (amount, currency = baseCurrency, options = {}) => formatMoney(amount, currency, { decimals: decimals ?? undefined, ...options });
+    return {
+        price,
+        money: (amount, currency, options) => (privacyMode && typeof amount === 'number' ? MASKED_VALUE : price(amount, currency, options)),
+        quantity: (quantity, options = { maximumFractionDigits: 8 }) => (privacyMode ? MASKED_VALUE : quantity.toLocaleString(undefined, options)),
+    };
+};
@@ -0,0 +1,67 @@
+import { DEFAULT_PREFERENCES, MASKED_VALUE, PREFERENCES_KEY, createFormatters, isSmallBalance, loadPreferences, normalizePreferences, savePreferences } from './preferences';
+
+const createStorage = (items = {}) => {
+  const data = new Map(Object.entries(items));
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key),
+    keys: () => [...data.keys()],
+  };
+};
+
+test('moves the separate keys into the store and removes them on save', () => {
+  const storage = createStorage({
+    cryptoTheme: 'light',
+    cryptoBaseCurrency: 'eur',
+    cryptoStreamingPrices: 'true',
+    cryptoPriceProviders: '["coincap","mock"]',
+    cryptoAiSettings: '{"provider":"stub"}',
+    cryptoTransactions: '[]',
+  });
+  const preferences = loadPreferences(storage);
+  expect(preferences).toMatchObject({ theme: 'light', baseCurrency: 'eur', streamingPrices: true, priceProviders: ['coincap', 'mock'], refreshIntervalMs: 60000 });
+  expect(preferences.ai.provider).toBe('stub');
+
+  savePreferences({ ...preferences, privacyMode: true }, storage);
+  expect(storage.keys().sort()).toEqual([PREFERENCES_KEY, 'cryptoTransactions']);
+  expect(JSON.parse(storage.getItem(PREFERENCES_KEY)).version).toBe(2);
+  expect(loadPreferences(storage)).toMatchObject({ theme: 'light', baseCurrency: 'eur', privacyMode: true });
+});
+
+test('drops invalid values and falls back to the defaults', () => {
+  expect(loadPreferences(createStorage())).toEqual(DEFAULT_PREFERENCES);
+  expect(loadPreferences(createStorage({ [PREFERENCES_KEY]: 'not json' }))).toEqual(DEFAULT_PREFERENCES);
+  const preferences = normalizePreferences({ baseCurrency: 'xyz', refreshIntervalMs: 5, decimals: 3, moverCount: 5, landingPage: 'watchlist', smallBalanceThreshold: -1, chartColors: ['#000000'] });
+  expect(preferences).toMatchObject({ baseCurrency: 'usd', refreshIntervalMs: 60000, decimals: null, moverCount: 5, landingPage: '/', smallBalanceThreshold: 1, chartColors: null });
+});
+
+test('formats amounts with the chosen precision and masks them in privacy mode', () => {
+  const format = createFormatters({ ...DEFAULT_PREFERENCES, decimals: 0 });
+  expect(format.money(1234.56)).toBe(format.money(1235));
+  expect(format.money(1234.56)).not.toContain('.');
+  expect(format.money(undefined)).toBe('N/A');
+
+  const masked = createFormatters({ ...DEFAULT_PREFERENCES, privacyMode: true });
+  expect(masked.money(1234.56)).toBe(MASKED_VALUE);
+  expect(masked.quantity(0.5)).toBe(MASKED_VALUE);
+  expect(masked.price(1234.56)).toBe(format.price(1234.56, 'usd', { decimals: 2 }));
+
+  expect(isSmallBalance(0.5, DEFAULT_PREFERENCES)).toBe(false);
+  expect(isSmallBalance(0.5, { ...DEFAULT_PREFERENCES, hideSmallBalances: true })).toBe(true);
+  expect(isSmallBalance(5, { ...DEFAULT_PREFERENCES, hideSmallBalances: true })).toBe(false);
+});
+
+test('converts the small balance threshold into the base currency', () => {
+  const rates = { usd: { value: 100000 }, btc: { value: 1 } };
+  const btcBase = { ...DEFAULT_PREFERENCES, hideSmallBalances: true, baseCurrency: 'btc' };
+  expect(isSmallBalance(0.000005, btcBase, rates)).toBe(true);
+  expect(isSmallBalance(0.5, btcBase, rates)).toBe(false);
+  expect(isSmallBalance(0.000005, btcBase, null)).toBe(false);
+});
+
+test('keeps a threshold saved before it had a currency in the base currency of that time', () => {
+  const storage = createStorage({ [PREFERENCES_KEY]: JSON.stringify({ version: 1, preferences: { baseCurrency: 'eur', smallBalanceThreshold: 5 } }) });
+  expect(loadPreferences(storage)).toMatchObject({ smallBalanceThreshold: 5, smallBalanceCurrency: 'eur' });
+  expect(loadPreferences(createStorage({ cryptoBaseCurrency: 'btc' })).smallBalanceCurrency).toBe('usd');
+});
@@ -0,0 +1,43 @@
+// Last known coin list and prices, kept in IndexedDB so the app renders straight away
+// and keeps showing values without a network connection.
+//
+// The coin list is stored as { savedAt, coins }; prices are stored per base currency and
+// every quote carries the `updatedAt` time it was fetched.
+
+import { idbGet, idbSet, idbUpdate } from './idb';
+import { getFreshness } from './priceStream';
+
+export const COIN_LIST_CACHE_KEY = 'coinListCache';
+export const PRICE_CACHE_KEY = 'priceCache';
+
+// The coin list rarely changes, so it is only refetched once a day
+export const COIN_LIST_TTL = 24 * 60 * 60 * 1000;
+// Older prices are dropped instead of being shown
+export const PRICE_CACHE_TTL = 7 * 24 * 60 * 60 * 1000;
+
+export const stampPrices = (prices, now = Date.now()) => Object.fromEntries(
+    Object.entries(prices).map(([coinId, quote]) => [coinId, { ...quote, updatedAt: now }])
+);
+
+// A price is stale once it is older than the Topbar's "stale" level
+export const isPriceStale = (quote, now = Date.now()) => Boolean(quote?.updatedAt) && getFreshness(quote.updatedAt, now) === 'stale';
+
+// The oldest update time among stale quotes, or null when every quote is recent
+export const getStaleSince = (quotes, now = Date.now()) => {
+    const stale = quotes.filter(quote => isPriceStale(quote, now)).map(quote => quote.updatedAt);
+    return stale.length > 0 ? Math.min(...stale) : null;
+};
+
+export const isCoinListFresh = (cache, now = Date.now()) => Boolean(cache?.coins?.length) && now - cache.savedAt < COIN_LIST_TTL;
+
+export const pruneCachedPrices = (prices = {}, now = Date.now()) => Object.fromEntries(
+    Object.entries(prices).filter(([, quote]) => quote?.updatedAt && now - quote.updatedAt <= PRICE_CACHE_TTL)
+);
+
+export const loadCachedCoinList = () => idbGet(COIN_LIST_CACHE_KEY);
+
+export const saveCachedCoinList = (coins, now = Date.now()) => idbSet(COIN_LIST_CACHE_KEY, { savedAt: now, coins });
+
+export const loadCachedPrices = async (currency, now = Date.now()) => pruneCachedPrices((await idbGet(PRICE_CACHE_KEY))?.[currency], now);
+
+export const saveCachedPrices = (currency, prices) => idbUpdate(PRICE_CACHE_KEY, (cache = {}) => ({ ...cache, [currency]: prices }));
@@ -0,0 +1,29 @@
+import { COIN_LIST_TTL, PRICE_CACHE_TTL, getStaleSince, isCoinListFresh, isPriceStale, pruneCachedPrices, stampPrices } from './priceCache';
+
+const NOW = new Date('2024-06-01T12:00:00Z').getTime();
+
+test('stamps prices and marks old ones as stale', () => {
+  const prices = stampPrices({ bitcoin: { price: 60000, change24h: 1 } }, NOW);
+  expect(prices.bitcoin).toEqual({ price: 60000, change24h: 1, updatedAt: NOW });
+  expect(isPriceStale(prices.bitcoin, NOW + 60 * 1000)).toBe(false);
+  expect(isPriceStale(prices.bitcoin, NOW + 10 * 60 * 1000)).toBe(true);
+  expect(isPriceStale(undefined, NOW)).toBe(false);
+
+  const older = { price: 1, updatedAt: NOW - 20 * 60 * 1000 };
+  expect(getStaleSince([prices.bitcoin, older, undefined], NOW)).toBe(older.updatedAt);
+  expect(getStaleSince([prices.bitcoin], NOW)).toBeNull();
+});
+
+test('expires the coin list and prices after their TTL', () => {
+  const coins = [{ id: 'bitcoin', symbol: 'btc', name: 'Bitcoin' }];
+  expect(isCoinListFresh({ savedAt: NOW, coins }, NOW + COIN_LIST_TTL - 1)).toBe(true);
+  expect(isCoinListFresh({ savedAt: NOW, coins }, NOW + COIN_LIST_TTL)).toBe(false);
+  expect(isCoinListFresh(undefined, NOW)).toBe(false);
+
+  const cached = {
+    bitcoin: { price: 60000, updatedAt: NOW },
+    dogecoin: { price: 0.1, updatedAt: NOW - PRICE_CACHE_TTL - 1 },
+    legacy: { price: 1 },
+  };
+  expect(pruneCachedPrices(cached, NOW)).toEqual({ bitcoin: cached.bitcoin });
+});
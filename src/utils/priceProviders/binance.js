@@ -0,0 +1,40 @@
+import { fetchJson } from './request';
+
+const API = 'https://api.binance.com/api/v3';
+
+// USD stablecoins, some of which are only listed as USDT<coin>
+const USD_STABLECOINS = ['usdt', 'usdc', 'busd', 'fdusd', 'tusd', 'dai'];
+
+// Public tickers, matched by symbol against the coin's USDT pair (USDT is treated as USD).
+// Binance has no coin list with names, so it only provides prices.
+export const binanceProvider = {
+    id: 'binance',
+    name: 'Binance',
+    currencies: ['usd'],
+
+    fetchPrices: async (coins) => {
+        // The mini ticker covers every pair in one request; asking for unknown symbols would fail the whole call
+        const tickers = await fetchJson(`${API}/ticker/24hr?type=MINI`);
+        const bySymbol = new Map(tickers.map(ticker => [ticker.symbol, ticker]));
+        const prices = {};
+        coins.forEach(coin => {
+            const symbol = coin.symbol?.toLowerCase();
+            if (!symbol) return;
+            if (symbol === 'usdt') {
+                prices[coin.id] = { price: 1, change24h: 0 };
+                return;
+            }
+            const ticker = bySymbol.get(`${symbol.toUpperCase()}USDT`);
+            if (!ticker) return;
+            const last = parseFloat(ticker.lastPrice);
+            const open = parseFloat(ticker.openPrice);
+            prices[coin.id] = { price: last, change24h: open > 0 ? ((last - open) / open) * 100 : undefined };
+        });
+        // Some stablecoins only trade the other way round (USDTDAI quotes DAI per USDT)
+        coins.filter(coin => USD_STABLECOINS.includes(coin.symbol?.toLowerCase()) && !prices[coin.id]).forEach(coin => {
+            const ticker = bySymbol.get(`USDT${coin.symbol.toUpperCase()}`);
+            if (ticker) prices[coin.id] = { price: 1 / parseFloat(ticker.lastPrice) };
+        });
+        return prices;
+    },
+};
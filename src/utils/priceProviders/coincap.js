@@ -0,0 +1,35 @@
+import { fetchJson } from './request';
+
+const API = 'https://api.coincap.io/v2';
+
+// CoinCap slugs match CoinGecko ids for most coins; the rest are matched by symbol.
+const matchAssets = (coins, assets) => {
+    const byId = new Map(assets.map(asset => [asset.id, asset]));
+    const bySymbol = new Map();
+    // Assets come ranked by market cap, so the first one with a symbol wins
+    assets.forEach(asset => !bySymbol.has(asset.symbol.toLowerCase()) && bySymbol.set(asset.symbol.toLowerCase(), asset));
+    return coins.map(coin => [coin.id, byId.get(coin.id) || (coin.symbol && bySymbol.get(coin.symbol.toLowerCase()))]);
+};
+
+export const coincapProvider = {
+    id: 'coincap',
+    name: 'CoinCap',
+    currencies: ['usd'],
+
+    fetchCoinList: async () => {
+        const { data } = await fetchJson(`${API}/assets?limit=2000`);
+        return data.map(asset => ({ id: asset.id, symbol: asset.symbol.toLowerCase(), name: asset.name }));
+    },
+
+    fetchPrices: async (coins) => {
+        const { data } = await fetchJson(`${API}/assets?limit=2000`);
+        return Object.fromEntries(matchAssets(coins, data)
+            .filter(([, asset]) => asset && asset.priceUsd)
+            .map(([id, asset]) => [id, {
+                price: parseFloat(asset.priceUsd),
+                change24h: parseFloat(asset.changePercent24Hr),
+                marketCap: parseFloat(asset.marketCapUsd),
+                volume24h: parseFloat(asset.volumeUsd24Hr),
+            }]));
+    },
+};
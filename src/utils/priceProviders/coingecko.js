@@ -0,0 +1,29 @@
+import { fetchJson } from './request';
+
+const API = 'https://api.coingecko.com/api/v3';
+
+// The app's coin ids are CoinGecko ids, so no mapping is needed here.
+export const coingeckoProvider = {
+    id: 'coingecko',
+    name: 'CoinGecko',
+    currencies: null, // quotes every currency the app supports
+
+    fetchCoinList: () => fetchJson(`${API}/coins/list`),
+
+    // The markets endpoint is used over simple/price because it also has the 1h and 7d changes,
+    // market cap and volume.
+    fetchPrices: async (coins, vsCurrency) => {
+        const ids = coins.map(coin => coin.id).join(',');
+        const data = await fetchJson(`${API}/coins/markets?vs_currency=${vsCurrency}&ids=${ids}&per_page=250&price_change_percentage=1h,24h,7d`);
+        return Object.fromEntries(data.map(coin => [
+            coin.id, {
+                price: coin.current_price,
+                change1h: coin.price_change_percentage_1h_in_currency,
+                change24h: coin.price_change_percentage_24h_in_currency,
+                change7d: coin.price_change_percentage_7d_in_currency,
+                marketCap: coin.market_cap,
+                volume24h: coin.total_volume,
+            }
+        ]));
+    },
+};
@@ -0,0 +1,108 @@
+// Price provider layer. Every provider implements the same small interface:
+//
+//   { id, name, currencies, fetchPrices(coins, vsCurrency), fetchCoinList?() }
+//
+// `coins` are { id, symbol } with CoinGecko ids, which the whole app uses; prices come back
+// keyed by those ids as { price, change1h?, change24h?, change7d?, marketCap?, volume24h? }.
+// `currencies` lists the currencies a provider quotes natively (null for all of them); anything
+// else is converted from USD with the app's exchange rates. Providers are tried in the configured order, and coins one of
+// them cannot price are asked from the next.
+
+import { convertAmount } from '../currency';
+import { coingeckoProvider } from './coingecko';
+import { coincapProvider } from './coincap';
+import { binanceProvider } from './binance';
+import { mockProvider } from './mock';
+
+export const PRICE_PROVIDERS = [coingeckoProvider, coincapProvider, binanceProvider, mockProvider];
+
+// The mock is left out by default so real outages are not hidden behind made-up prices
+export const DEFAULT_PROVIDER_ORDER = ['coingecko', 'coincap', 'binance'];
+
+const RATE_LIMIT_COOLDOWN = 60 * 1000;
+// providerId -> timestamp until which a rate-limited provider is skipped
+const cooldowns = new Map();
+
+export const resetProviderCooldowns = () => cooldowns.clear();
+
+export const getProvider = (id) => PRICE_PROVIDERS.find(provider => provider.id === id);
+
+// REACT_APP_PRICE_PROVIDERS (comma-separated ids, e.g. "mock") overrides the saved order,
+// which makes offline development possible.
+export const isOrderOverridden = () => Boolean(process.env.REACT_APP_PRICE_PROVIDERS);
+
+export const getConfiguredOrder = (savedOrder) => {
+    const order = isOrderOverridden()
+        ? process.env.REACT_APP_PRICE_PROVIDERS.split(',').map(id => id.trim())
+        : savedOrder;
+    const known = (order || []).filter(id => getProvider(id));
+    return known.length > 0 ? known : DEFAULT_PROVIDER_ORDER;
+};
+
+// Returns { prices, sources, providerId, errors }: `sources` maps every coin to the provider
+// that priced it and `providerId` is the first provider that delivered anything.
+// Throws when no provider returned a single price.
+export const fetchPricesWithFallback = async (coins, vsCurrency, {
+    order = DEFAULT_PROVIDER_ORDER, exchangeRates = null, providers = PRICE_PROVIDERS, now = Date.now(),
+} = {}) => {
+    const prices = {};
+    const sources = {};
+    const errors = [];
+    let providerId = null;
+    let missing = coins;
+
+    for (const id of order) {
+        if (missing.length === 0) break;
+        const provider = providers.find(p => p.id === id);
+        if (!provider) continue;
+        if ((cooldowns.get(id) || 0) > now) {
+            errors.push({ providerId: id, message: 'rate limited, skipped for now' });
+            continue;
+        }
+        const quoteCurrency = !provider.currencies || provider.currencies.includes(vsCurrency) ? vsCurrency : 'usd';
+        if (convertAmount(1, quoteCurrency, vsCurrency, exchangeRates) === null) {
+            errors.push({ providerId: id, message: `no exchange rate to convert into ${vsCurrency.toUpperCase()}` });
+            continue;
+        }
+
+        try {
+            const quotes = await provider.fetchPrices(missing, quoteCurrency);
+            for (const [coinId, quote] of Object.entries(quotes)) {
+                if (!(quote?.price > 0)) continue;
+                // Percentage changes are kept as quoted; converting them would need historical rates
+                prices[coinId] = { ...quote, price: convertAmount(quote.price, quoteCurrency, vsCurrency, exchangeRates) };
+                ['marketCap', 'volume24h'].forEach(field => {
+                    if (quote[field] > 0) prices[coinId][field] = convertAmount(quote[field], quoteCurrency, vsCurrency, exchangeRates);
+                });
+                sources[coinId] = id;
+                providerId = providerId || id;
+            }
+        } catch (error) {
+            if (error.status === 429) cooldowns.set(id, now + (error.retryAfter ? error.retryAfter * 1000 : RATE_LIMIT_COOLDOWN));
+            errors.push({ providerId: id, message: error.message });
+        }
+        missing = missing.filter(coin => !prices[coin.id]);
+    }
+
+    if (coins.length > 0 && !providerId) {
+        const error = new Error(`No price provider is available (${errors.map(e => `${e.providerId}: ${e.message}`).join('; ')})`);
+        error.errors = errors;
+        throw error;
+    }
+    return { prices, sources, providerId, errors };
+};
+
+// The coin list comes from the first provider in the order that has one.
+export const fetchCoinListWithFallback = async ({ order = DEFAULT_PROVIDER_ORDER, providers = PRICE_PROVIDERS } = {}) => {
+    const errors = [];
+    for (const id of order) {
+        const provider = providers.find(p => p.id === id);
+        if (!provider?.fetchCoinList) continue;
+        try {
+            return { coins: await provider.fetchCoinList(), providerId: id };
+        } catch (error) {
+            errors.push(`${id}: ${error.message}`);
+        }
+    }
+    throw new Error(`No provider could load the coin list (${errors.join('; ') || 'none configured'})`);
+};
@@ -0,0 +1,56 @@
+import { fetchCoinListWithFallback, fetchPricesWithFallback, resetProviderCooldowns } from './index';
+import { getMockPrice, mockProvider } from './mock';
+
+const coins = [{ id: 'bitcoin', symbol: 'btc' }, { id: 'ethereum', symbol: 'eth' }];
+const rates = { usd: { value: 60000 }, eur: { value: 54000 } };
+
+const failing = (id, error = Object.assign(new Error('down'), { status: 503 })) => ({
+  id,
+  currencies: null,
+  fetchPrices: jest.fn(async () => { throw error; }),
+  fetchCoinList: jest.fn(async () => { throw error; }),
+});
+
+beforeEach(resetProviderCooldowns);
+
+test('the mock provider is deterministic and needs no network', async () => {
+  const first = await mockProvider.fetchPrices(coins);
+  expect(first).toEqual(await mockProvider.fetchPrices(coins));
+  expect(first.bitcoin.price).toBe(60000);
+  expect(getMockPrice('some-new-coin')).toEqual(getMockPrice('some-new-coin'));
+});
+
+test('falls back in order and converts USD-only quotes', async () => {
+  const providers = [failing('primary'), mockProvider];
+  const result = await fetchPricesWithFallback(coins, 'eur', { order: ['primary', 'mock'], exchangeRates: rates, providers });
+  expect(result.providerId).toBe('mock');
+  expect(result.prices.bitcoin.price).toBeCloseTo(54000);
+  expect(result.prices.bitcoin.marketCap).toBeCloseTo(getMockPrice('bitcoin').marketCap * 0.9);
+  expect(result.errors).toEqual([{ providerId: 'primary', message: 'down' }]);
+});
+
+test('asks the next provider only for coins the first one could not price', async () => {
+  const partial = { id: 'partial', currencies: null, fetchPrices: jest.fn(async () => ({ bitcoin: { price: 61000 } })) };
+  const spy = jest.spyOn(mockProvider, 'fetchPrices');
+  const result = await fetchPricesWithFallback(coins, 'usd', { order: ['partial', 'mock'], providers: [partial, mockProvider] });
+  expect(spy).toHaveBeenCalledWith([coins[1]], 'usd');
+  expect(result.sources).toEqual({ bitcoin: 'partial', ethereum: 'mock' });
+  spy.mockRestore();
+});
+
+test('skips rate-limited providers until their cooldown ends', async () => {
+  const limited = failing('limited', Object.assign(new Error('too many requests'), { status: 429, retryAfter: 30 }));
+  const providers = [limited, mockProvider];
+  const options = { order: ['limited', 'mock'], providers };
+  await fetchPricesWithFallback(coins, 'usd', { ...options, now: 0 });
+  await fetchPricesWithFallback(coins, 'usd', { ...options, now: 10 * 1000 });
+  expect(limited.fetchPrices).toHaveBeenCalledTimes(1);
+  await fetchPricesWithFallback(coins, 'usd', { ...options, now: 31 * 1000 });
+  expect(limited.fetchPrices).toHaveBeenCalledTimes(2);
+});
+
+test('fails when no provider delivers anything', async () => {
+  await expect(fetchPricesWithFallback(coins, 'usd', { order: ['a'], providers: [failing('a')] })).rejects.toThrow('No price provider is available');
+  await expect(fetchCoinListWithFallback({ order: ['a', 'mock'], providers: [failing('a'), mockProvider] }))
+    .resolves.toMatchObject({ providerId: 'mock' });
+});
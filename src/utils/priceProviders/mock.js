@@ -0,0 +1,52 @@
+// Deterministic prices that never touch the network: for tests, offline development
+// and as the very last fallback. The same coin always gets the same price.
+
+export const MOCK_COINS = [
+    { id: 'bitcoin', symbol: 'btc', name: 'Bitcoin', price: 60000 },
+    { id: 'ethereum', symbol: 'eth', name: 'Ethereum', price: 3000 },
+    { id: 'tether', symbol: 'usdt', name: 'Tether', price: 1 },
+    { id: 'binancecoin', symbol: 'bnb', name: 'BNB', price: 550 },
+    { id: 'solana', symbol: 'sol', name: 'Solana', price: 150 },
+    { id: 'usd-coin', symbol: 'usdc', name: 'USDC', price: 1 },
+    { id: 'ripple', symbol: 'xrp', name: 'XRP', price: 0.5 },
+    { id: 'cardano', symbol: 'ada', name: 'Cardano', price: 0.45 },
+    { id: 'dogecoin', symbol: 'doge', name: 'Dogecoin', price: 0.12 },
+    { id: 'polkadot', symbol: 'dot', name: 'Polkadot', price: 6.5 },
+];
+
+// Small string hash (FNV-1a) so unknown coins still get a stable price.
+export const hash = (text) => {
+    let value = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        value ^= text.charCodeAt(i);
+        value = Math.imul(value, 16777619);
+    }
+    return value >>> 0;
+};
+
+export const getMockPrice = (coinId) => {
+    const known = MOCK_COINS.find(coin => coin.id === coinId);
+    const seed = hash(coinId);
+    const price = known ? known.price : (seed % 100000) / 100 + 0.01;
+    // A made-up circulating supply gives the market cap; a day's volume is 5% of it
+    const marketCap = price * (1000000 + (seed % 1000000000));
+    return {
+        price,
+        // Stablecoins stay flat; everything else gets a fixed move between -10% and +10% (-20% and +20% over 7d)
+        change1h: known?.price === 1 ? 0 : ((seed % 401) - 200) / 100,
+        change24h: known?.price === 1 ? 0 : ((seed % 2001) - 1000) / 100,
+        change7d: known?.price === 1 ? 0 : ((seed % 4001) - 2000) / 100,
+        marketCap,
+        volume24h: marketCap * 0.05,
+    };
+};
+
+export const mockProvider = {
+    id: 'mock',
+    name: 'Offline Mock',
+    currencies: ['usd'],
+
+    fetchCoinList: async () => MOCK_COINS.map(({ id, symbol, name }) => ({ id, symbol, name })),
+
+    fetchPrices: async (coins) => Object.fromEntries(coins.map(coin => [coin.id, getMockPrice(coin.id)])),
+};
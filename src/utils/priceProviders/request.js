@@ -0,0 +1,13 @@
+// Fetches JSON and turns failed responses into errors that carry `status` and
+// `retryAfter` (seconds), so the provider layer can tell rate limits from outages.
+export const fetchJson = async (url) => {
+    const response = await fetch(url);
+    if (!response.ok) {
+        const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+        const error = new Error(`${new URL(url).hostname} request failed with status ${response.status}`);
+        error.status = response.status;
+        error.retryAfter = isNaN(retryAfter) ? null : retryAfter;
+        throw error;
+    }
+    return response.json();
+};
@@ -0,0 +1,106 @@
+// Streaming prices from Binance's public WebSocket mini-ticker feed.
+// The REST poll keeps running underneath: it prices coins Binance does not list,
+// provides the 1h change and takes over whenever the stream is down.
+
+const STREAM_URL = 'wss://stream.binance.com:9443/stream';
+const MIN_RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 60 * 1000;
+// Ticks are batched so a busy feed re-renders the app at most this often
+const FLUSH_INTERVAL = 1000;
+
+// How old the newest price may be for each freshness level
+export const FRESHNESS_LEVELS = [
+    { value: 'live', label: 'Live', maxAge: 15 * 1000 },
+    { value: 'delayed', label: 'Delayed', maxAge: 2 * 60 * 1000 },
+    { value: 'stale', label: 'Stale', maxAge: Infinity },
+];
+
+export const getFreshness = (updatedAt, now = Date.now()) => {
+    if (!updatedAt) return null;
+    return FRESHNESS_LEVELS.find(level => now - updatedAt <= level.maxAge).value;
+};
+
+// Maps Binance USDT pairs ("BTCUSDT") to the coins they price. USDT itself has no pair.
+export const getStreamPairs = (coins) => {
+    const pairs = {};
+    coins.forEach(coin => {
+        const symbol = coin.symbol?.toUpperCase();
+        if (!symbol || symbol === 'USDT') return;
+        const pair = `${symbol}USDT`;
+        pairs[pair] = [...(pairs[pair] || []), coin.id];
+    });
+    return pairs;
+};
+
+// Combined-stream messages look like { stream: 'btcusdt@miniTicker', data: { s, c, o, ... } }.
+export const parseMiniTicker = (message) => {
+    const data = message?.data;
+    if (!data || data.e !== '24hrMiniTicker') return null;
+    const close = parseFloat(data.c);
+    const open = parseFloat(data.o);
+    if (!(close > 0)) return null;
+    return { pair: data.s, price: close, change24h: open > 0 ? ((close - open) / open) * 100 : undefined };
+};
+
+// Opens the stream for `coins` ({ id, symbol }) and calls `onPrices({ [coinId]: { price, change24h } })`
+// with USD(T) prices. Reconnects with exponential backoff; `onStatusChange` receives
+// 'connecting', 'open', 'reconnecting' or 'closed'. Returns { close }.
+export const createPriceStream = ({ coins, onPrices, onStatusChange = () => {}, WebSocketImpl = WebSocket }) => {
+    const pairs = getStreamPairs(coins);
+    const streams = Object.keys(pairs).map(pair => `${pair.toLowerCase()}@miniTicker`);
+    let socket = null;
+    let reconnectDelay = MIN_RECONNECT_DELAY;
+    let reconnectTimer = null;
+    let flushTimer = null;
+    let pending = {};
+    let isClosed = false;
+
+    const flush = () => {
+        flushTimer = null;
+        if (Object.keys(pending).length === 0) return;
+        const batch = pending;
+        pending = {};
+        onPrices(batch);
+    };
+
+    const connect = () => {
+        onStatusChange('connecting');
+        socket = new WebSocketImpl(`${STREAM_URL}?streams=${streams.join('/')}`);
+        socket.onopen = () => onStatusChange('open');
+        socket.onmessage = (event) => {
+            let ticker;
+            try {
+                ticker = parseMiniTicker(JSON.parse(event.data));
+            } catch (error) {
+                return;
+            }
+            if (!ticker || !pairs[ticker.pair]) return;
+            // Data is flowing, so the next outage starts over with a short delay
+            reconnectDelay = MIN_RECONNECT_DELAY;
+            pairs[ticker.pair].forEach(coinId => {
+                pending[coinId] = { price: ticker.price, change24h: ticker.change24h };
+            });
+            if (!flushTimer) flushTimer = setTimeout(flush, FLUSH_INTERVAL);
+        };
+        socket.onclose = () => {
+            if (isClosed) return;
+            onStatusChange('reconnecting');
+            reconnectTimer = setTimeout(connect, reconnectDelay);
+            reconnectDelay = Math.min(MAX_RECONNECT_DELAY, reconnectDelay * 2);
+        };
+        // Errors are always followed by a close event, which schedules the reconnect
+        socket.onerror = () => {};
+    };
+
+    if (streams.length > 0) connect();
+
+    return {
+        close: () => {
+            isClosed = true;
+            clearTimeout(reconnectTimer);
+            clearTimeout(flushTimer);
+            if (socket) socket.close();
+            onStatusChange('closed');
+        },
+    };
+};
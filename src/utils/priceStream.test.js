@@ -0,0 +1,66 @@
+import { createPriceStream, getFreshness, getStreamPairs } from './priceStream';
+
+class FakeSocket {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    FakeSocket.instances.push(this);
+  }
+
+  close() {
+    this.onclose?.();
+  }
+
+  emit(data) {
+    this.onmessage({ data: JSON.stringify({ stream: 'x', data }) });
+  }
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  FakeSocket.instances = [];
+});
+
+afterEach(() => jest.useRealTimers());
+
+test('maps coins to USDT pairs and rates freshness', () => {
+  expect(getStreamPairs([{ id: 'bitcoin', symbol: 'btc' }, { id: 'tether', symbol: 'usdt' }])).toEqual({ BTCUSDT: ['bitcoin'] });
+  expect(getFreshness(1000, 5000)).toBe('live');
+  expect(getFreshness(1000, 61 * 1000)).toBe('delayed');
+  expect(getFreshness(1000, 10 * 60 * 1000)).toBe('stale');
+});
+
+test('batches ticks into price updates', () => {
+  const onPrices = jest.fn();
+  createPriceStream({ coins: [{ id: 'bitcoin', symbol: 'btc' }], onPrices, WebSocketImpl: FakeSocket });
+  const [socket] = FakeSocket.instances;
+  expect(socket.url).toContain('btcusdt@miniTicker');
+
+  socket.emit({ e: '24hrMiniTicker', s: 'BTCUSDT', c: '60000', o: '50000' });
+  socket.emit({ e: '24hrMiniTicker', s: 'BTCUSDT', c: '61000', o: '50000' });
+  expect(onPrices).not.toHaveBeenCalled();
+  jest.advanceTimersByTime(1000);
+  expect(onPrices).toHaveBeenCalledTimes(1);
+  expect(onPrices.mock.calls[0][0].bitcoin.price).toBe(61000);
+  expect(onPrices.mock.calls[0][0].bitcoin.change24h).toBeCloseTo(22);
+});
+
+test('reconnects with growing delays until closed', () => {
+  const statuses = [];
+  const stream = createPriceStream({ coins: [{ id: 'bitcoin', symbol: 'btc' }], onPrices: () => {}, onStatusChange: s => statuses.push(s), WebSocketImpl: FakeSocket });
+
+  FakeSocket.instances[0].onclose();
+  jest.advanceTimersByTime(1000);
+  expect(FakeSocket.instances).toHaveLength(2);
+  FakeSocket.instances[1].onclose();
+  jest.advanceTimersByTime(1000);
+  expect(FakeSocket.instances).toHaveLength(2);
+  jest.advanceTimersByTime(1000);
+  expect(FakeSocket.instances).toHaveLength(3);
+
+  stream.close();
+  jest.advanceTimersByTime(60 * 1000);
+  expect(FakeSocket.instances).toHaveLength(3);
+  expect(statuses[statuses.length - 1]).toBe('closed');
+});
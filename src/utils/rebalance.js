@@ -0,0 +1,124 @@
+// Rebalancing: target weights per coin or per category, how far a portfolio has drifted
+// from them, and the trades that would bring it back.
+//
+// A plan is { groupBy: 'coin' | 'category', coinWeights: { [coinId]: percent },
+// categoryWeights: { [categoryId]: percent }, categoryOverrides: { [coinId]: categoryId },
+// threshold, feeRate }, where `threshold` is the drift in percentage points worth acting on and
+// `feeRate` the trading fee in percent. Only the weights of the chosen grouping apply.
+
+export const REBALANCE_GROUPINGS = [
+    { value: 'coin', label: 'Per coin' },
+    { value: 'category', label: 'Per category' },
+];
+
+export const REBALANCE_CATEGORIES = [
+    { id: 'btc', label: 'BTC' },
+    { id: 'large_cap_alts', label: 'Large-cap alts' },
+    { id: 'small_cap_alts', label: 'Small-cap alts' },
+    { id: 'stablecoins', label: 'Stablecoins' },
+];
+
+// The coin list carries no market caps, so categories start from these lists and can be
+// changed per coin.
+const STABLECOIN_IDS = ['tether', 'usd-coin', 'dai', 'first-digital-usd', 'true-usd', 'paypal-usd', 'ethena-usde', 'usds', 'frax', 'paxos-standard'];
+const LARGE_CAP_IDS = [
+    'ethereum', 'binancecoin', 'solana', 'ripple', 'cardano', 'dogecoin', 'tron', 'avalanche-2', 'chainlink',
+    'polkadot', 'the-open-network', 'shiba-inu', 'bitcoin-cash', 'litecoin', 'stellar', 'sui', 'hyperliquid',
+];
+
+export const DEFAULT_REBALANCE_PLAN = {
+    groupBy: 'coin',
+    coinWeights: {},
+    categoryWeights: {},
+    categoryOverrides: {},
+    threshold: 5,
+    feeRate: 0.1,
+};
+
+// Trades smaller than this share of the portfolio are not worth their fee. A share rather than
+// an amount, since 1 is a rounding error in USD but a fortune with a BTC base currency.
+export const MIN_TRADE_SHARE = 0.001;
+
+export const getDefaultCategory = (coinId) => {
+    if (coinId === 'bitcoin') return 'btc';
+    if (STABLECOIN_IDS.includes(coinId)) return 'stablecoins';
+    return LARGE_CAP_IDS.includes(coinId) ? 'large_cap_alts' : 'small_cap_alts';
+};
+
+export const getCoinCategory = (coinId, plan) => plan.categoryOverrides?.[coinId] || getDefaultCategory(coinId);
+
+export const getCategoryLabel = (categoryId) => REBALANCE_CATEGORIES.find(c => c.id === categoryId)?.label || categoryId;
+
+const getGroupKey = (coinId, plan) => (plan.groupBy === 'category' ? getCoinCategory(coinId, plan) : coinId);
+
+export const getWeightsKey = (plan) => (plan.groupBy === 'category' ? 'categoryWeights' : 'coinWeights');
+
+// Weights left at zero are kept out of the plan
+const getWeights = (plan) => Object.fromEntries(Object.entries(plan[getWeightsKey(plan)] || {}).filter(([, weight]) => weight > 0));
+
+export const getWeightTotal = (plan) => Object.values(getWeights(plan)).reduce((sum, weight) => sum + weight, 0);
+
+export const isPlanComplete = (plan) => Boolean(plan) && Math.abs(getWeightTotal(plan) - 100) < 0.01;
+
+// `holdings` are [{ id, value }] in the base currency, as in the Dashboard pie chart. Returns one
+// row per coin or category that is held or has a target: { key, value, currentPercent,
+// targetPercent, drift }, with `drift` in percentage points (positive when overweight).
+export const computeDrift = (holdings, plan) => {
+    const weights = getWeights(plan);
+    const total = holdings.reduce((sum, holding) => sum + holding.value, 0);
+    const values = {};
+    holdings.forEach(holding => {
+        const key = getGroupKey(holding.id, plan);
+        values[key] = (values[key] || 0) + holding.value;
+    });
+
+    const keys = [...new Set([...Object.keys(values), ...Object.keys(weights)])];
+    return keys.map(key => {
+        const value = values[key] || 0;
+        const currentPercent = total > 0 ? (value / total) * 100 : 0;
+        const targetPercent = weights[key] || 0;
+        return { key, value, currentPercent, targetPercent, drift: currentPercent - targetPercent };
+    }).sort((a, b) => Math.abs(b.drift) - Math.abs(a.drift));
+};
+
+export const getMaxDrift = (rows) => rows.reduce((max, row) => Math.max(max, Math.abs(row.drift)), 0);
+
+// Trades that bring `holdings` ([{ id, value }]) back to the plan's weights, valued at `prices`
+// ({ [coinId]: { price } }). Within a category, buys and sells are spread over the coins held
+// in proportion to their value; a category with no coins yet gets a buy without a coin.
+// Returns { trades: [{ key, coinId, side, value, quantity }], turnover, estimatedFee }.
+export const planRebalance = (holdings, plan, prices = {}) => {
+    const total = holdings.reduce((sum, holding) => sum + holding.value, 0);
+    const minTradeValue = total * MIN_TRADE_SHARE;
+    const trades = [];
+
+    computeDrift(holdings, plan).forEach(row => {
+        const delta = (row.targetPercent / 100) * total - row.value;
+        if (Math.abs(delta) < minTradeValue) return;
+        const members = plan.groupBy === 'category'
+            ? holdings.filter(holding => holding.value > 0 && getCoinCategory(holding.id, plan) === row.key)
+            : [{ id: row.key, value: row.value }];
+
+        if (members.length === 0) {
+            trades.push({ key: row.key, coinId: null, side: 'buy', value: delta, quantity: null });
+            return;
+        }
+        members.forEach(member => {
+            const value = Math.abs(row.value > 0 ? delta * (member.value / row.value) : delta);
+            if (value < minTradeValue) return;
+            const price = prices[member.id]?.price;
+            trades.push({
+                key: row.key,
+                coinId: member.id,
+                side: delta > 0 ? 'buy' : 'sell',
+                value,
+                quantity: price > 0 ? value / price : null,
+            });
+        });
+    });
+
+    // Sells first, so they can fund the buys
+    trades.sort((a, b) => (a.side === b.side ? b.value - a.value : a.side === 'sell' ? -1 : 1));
+    const turnover = trades.reduce((sum, trade) => sum + trade.value, 0);
+    return { trades, turnover, estimatedFee: turnover * ((plan.feeRate || 0) / 100) };
+};
@@ -0,0 +1,59 @@
+import { DEFAULT_REBALANCE_PLAN, computeDrift, getMaxDrift, isPlanComplete, planRebalance } from './rebalance';
+
+const holdings = [
+  { id: 'bitcoin', value: 7000 },
+  { id: 'ethereum', value: 2000 },
+  { id: 'solana', value: 1000 },
+];
+const prices = { bitcoin: { price: 50000 }, ethereum: { price: 2000 }, solana: { price: 100 } };
+
+test('measures drift per coin against the targets', () => {
+  const plan = { ...DEFAULT_REBALANCE_PLAN, coinWeights: { bitcoin: 50, ethereum: 30, tether: 20 } };
+  expect(isPlanComplete(plan)).toBe(true);
+  const rows = computeDrift(holdings, plan);
+  expect(rows.map(row => [row.key, row.drift])).toEqual([
+    ['bitcoin', 20],
+    ['tether', -20],
+    ['ethereum', -10],
+    ['solana', 10],
+  ]);
+  expect(getMaxDrift(rows)).toBe(20);
+  expect(isPlanComplete({ ...plan, coinWeights: { bitcoin: 50 } })).toBe(false);
+});
+
+test('plans the trades that restore the targets, sells first', () => {
+  const plan = { ...DEFAULT_REBALANCE_PLAN, coinWeights: { bitcoin: 50, ethereum: 30, tether: 20 }, feeRate: 0.5 };
+  const { trades, turnover, estimatedFee } = planRebalance(holdings, plan, prices);
+  expect(trades).toEqual([
+    { key: 'bitcoin', coinId: 'bitcoin', side: 'sell', value: 2000, quantity: 0.04 },
+    { key: 'solana', coinId: 'solana', side: 'sell', value: 1000, quantity: 10 },
+    { key: 'tether', coinId: 'tether', side: 'buy', value: 2000, quantity: null },
+    { key: 'ethereum', coinId: 'ethereum', side: 'buy', value: 1000, quantity: 0.5 },
+  ]);
+  expect(turnover).toBe(6000);
+  expect(estimatedFee).toBe(30);
+});
+
+test('spreads category trades over the coins held in them', () => {
+  const plan = { ...DEFAULT_REBALANCE_PLAN, groupBy: 'category', categoryWeights: { btc: 60, large_cap_alts: 20, stablecoins: 20 } };
+  const { trades } = planRebalance(holdings, plan, prices);
+  expect(trades).toEqual([
+    { key: 'btc', coinId: 'bitcoin', side: 'sell', value: 1000, quantity: 0.02 },
+    { key: 'large_cap_alts', coinId: 'ethereum', side: 'sell', value: 2000 / 3, quantity: (2000 / 3) / 2000 },
+    { key: 'large_cap_alts', coinId: 'solana', side: 'sell', value: 1000 / 3, quantity: (1000 / 3) / 100 },
+    { key: 'stablecoins', coinId: null, side: 'buy', value: 2000, quantity: null },
+  ]);
+});
+
+test('plans small trades in a BTC base currency and skips dust', () => {
+  const btcHoldings = [{ id: 'bitcoin', value: 0.7 }, { id: 'ethereum', value: 0.3 }];
+  const btcPrices = { bitcoin: { price: 1 }, ethereum: { price: 0.04 } };
+  const plan = { ...DEFAULT_REBALANCE_PLAN, coinWeights: { bitcoin: 60, ethereum: 40 } };
+  const { trades } = planRebalance(btcHoldings, plan, btcPrices);
+  expect(trades.map(trade => [trade.coinId, trade.side])).toEqual([['bitcoin', 'sell'], ['ethereum', 'buy']]);
+  expect(trades[0].value).toBeCloseTo(0.1);
+  expect(trades[1].quantity).toBeCloseTo(2.5);
+
+  const balanced = { ...plan, coinWeights: { bitcoin: 69.95, ethereum: 30.05 } };
+  expect(planRebalance(btcHoldings, balanced, btcPrices).trades).toEqual([]);
+});
@@ -0,0 +1,166 @@
+// Capital gains per tax year, built from the lot-level disposals of costBasis.js. Every row is
+// one piece of a lot given up by a sale, so a sale that spans several lots gets several rows.
+
+import { computePositions } from './costBasis';
+import { formatMoney, getCurrencyDecimals } from './currency';
+
+export const TAX_YEAR_STARTS = [
+    { value: '01-01', label: '1 January (calendar year)' },
+    { value: '04-06', label: '6 April (UK)' },
+    { value: '07-01', label: '1 July (Australia)' },
+];
+
+export const DEFAULT_TAX_YEAR_START = '01-01';
+
+export const TAX_REPORT_COLUMNS = [
+    { key: 'asset', label: 'Asset' },
+    { key: 'quantity', label: 'Quantity' },
+    { key: 'acquiredDate', label: 'Date Acquired' },
+    { key: 'disposedDate', label: 'Date Disposed' },
+    { key: 'proceeds', label: 'Proceeds' },
+    { key: 'costBasis', label: 'Cost Basis' },
+    { key: 'gain', label: 'Gain/Loss' },
+    { key: 'term', label: 'Term' },
+];
+
+const startOf = (year, yearStart) => {
+    const [month, day] = yearStart.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+// The tax year named after the calendar year it starts in runs until the next one starts, in local time
+export const getTaxYearRange = (year, yearStart = DEFAULT_TAX_YEAR_START) => ({
+    from: startOf(year, yearStart),
+    to: startOf(year + 1, yearStart),
+});
+
+export const getTaxYearLabel = (year, yearStart = DEFAULT_TAX_YEAR_START) => (
+    yearStart === '01-01' ? String(year) : `${year}/${String(year + 1).slice(-2)}`
+);
+
+export const getTaxYearOf = (date, yearStart = DEFAULT_TAX_YEAR_START) => {
+    const year = new Date(date).getFullYear();
+    return new Date(date) < startOf(year, yearStart) ? year - 1 : year;
+};
+
+// Tax years with at least one sale, newest first, always including the current one
+export const getTaxYears = (transactions, yearStart = DEFAULT_TAX_YEAR_START, now = new Date()) => {
+    const years = new Set([getTaxYearOf(now, yearStart)]);
+    transactions.filter(tx => tx.type === 'sell').forEach(tx => years.add(getTaxYearOf(tx.date, yearStart)));
+    return [...years].sort((a, b) => b - a);
+};
+
+// Held for more than a year counts as long term
+export const getHoldingTerm = (acquiredDate, disposedDate) => {
+    const anniversary = new Date(acquiredDate);
+    anniversary.setFullYear(anniversary.getFullYear() + 1);
+    return new Date(disposedDate) > anniversary ? 'long' : 'short';
+};
+
+// `transactions` must already be priced in one currency; a null price is one that could not be
+// converted. Returns { rows, totals, unpricedCount } for the disposals in the tax year, oldest
+// first, with totals split by holding term. `unpricedCount` rows have NaN amounts because they
+// depend on such a price, which makes the totals NaN as well.
+export const buildTaxReport = (transactions, { method, year, yearStart = DEFAULT_TAX_YEAR_START }) => {
+    const { from, to } = getTaxYearRange(year, yearStart);
+    const rows = Object.values(computePositions(transactions, method))
+        .flatMap(position => position.disposals)
+        .filter(disposal => {
+            const disposed = new Date(disposal.disposedDate);
+            return disposed >= from && disposed < to;
+        })
+        .map(disposal => ({ ...disposal, term: getHoldingTerm(disposal.acquiredDate, disposal.disposedDate) }))
+        .sort((a, b) => new Date(a.disposedDate) - new Date(b.disposedDate) || new Date(a.acquiredDate) - new Date(b.acquiredDate));
+
+    const totals = { proceeds: 0, costBasis: 0, gain: 0, shortTermGain: 0, longTermGain: 0 };
+    rows.forEach(row => {
+        totals.proceeds += row.proceeds;
+        totals.costBasis += row.costBasis;
+        totals.gain += row.gain;
+        totals[row.term === 'long' ? 'longTermGain' : 'shortTermGain'] += row.gain;
+    });
+    return { rows, totals, unpricedCount: rows.filter(row => Number.isNaN(row.gain)).length };
+};
+
+// YYYY-MM-DD in local time, like the tax year boundaries
+const formatDate = (date) => {
+    const d = new Date(date);
+    return [d.getFullYear(), d.getMonth() + 1, d.getDate()].map(part => String(part).padStart(2, '0')).join('-');
+};
+
+const getTermLabel = (term) => (term === 'long' ? 'Long term' : 'Short term');
+
+// The cells of a row as text; `getAssetLabel(coinId)` names the coin. `format` lets the page
+// apply the display preferences, while exports keep the plain formatting.
+export const formatTaxReportRow = (row, getAssetLabel, currency, format = { money: formatMoney, quantity: String }) => ({
+    asset: getAssetLabel(row.coinId),
+    quantity: format.quantity(row.quantity),
+    acquiredDate: formatDate(row.acquiredDate),
+    disposedDate: formatDate(row.disposedDate),
+    proceeds: format.money(row.proceeds, currency),
+    costBasis: format.money(row.costBasis, currency),
+    gain: format.money(row.gain, currency),
+    term: getTermLabel(row.term),
+});
+
+const csvField = (value) => (/[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+// Amounts stay plain numbers so spreadsheets can add them up, with the currency's own precision
+export const buildTaxReportCsv = (rows, getAssetLabel, currency) => {
+    const decimals = getCurrencyDecimals(currency);
+    const header = TAX_REPORT_COLUMNS.map(column => (['proceeds', 'costBasis', 'gain'].includes(column.key) ? `${column.label} (${currency.toUpperCase()})` : column.label));
+    const lines = rows.map(row => [
+        getAssetLabel(row.coinId),
+        String(row.quantity),
+        formatDate(row.acquiredDate),
+        formatDate(row.disposedDate),
+        row.proceeds.toFixed(decimals),
+        row.costBasis.toFixed(decimals),
+        row.gain.toFixed(decimals),
+        getTermLabel(row.term),
+    ]);
+    return [header, ...lines].map(fields => fields.map(csvField).join(',')).join('\r\n');
+};
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+// A standalone page for the browser's "Save as PDF"
+export const buildTaxReportHtml = ({ rows, totals }, { title, subtitle, getAssetLabel, currency }) => {
+    const head = TAX_REPORT_COLUMNS.map(column => `<th>${escapeHtml(column.label)}</th>`).join('');
+    const body = rows.map(row => {
+        const cells = formatTaxReportRow(row, getAssetLabel, currency);
+        return `<tr>${TAX_REPORT_COLUMNS.map(column => `<td>${escapeHtml(cells[column.key])}</td>`).join('')}</tr>`;
+    }).join('');
+    const summary = [
+        ['Proceeds', totals.proceeds],
+        ['Cost basis', totals.costBasis],
+        ['Short-term gain/loss', totals.shortTermGain],
+        ['Long-term gain/loss', totals.longTermGain],
+        ['Total gain/loss', totals.gain],
+    ].map(([label, amount]) => `<tr><th>${label}</th><td>${escapeHtml(formatMoney(amount, currency))}</td></tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: sans-serif; font-size: 12px; color: #111; margin: 24px; }
+h1 { font-size: 20px; margin-bottom: 4px; }
+p { color: #555; margin-top: 0; }
+table { border-collapse: collapse; width: 100%; margin-top: 16px; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+thead th { background: #eee; }
+.summary { width: auto; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(subtitle)}</p>
+<table class="summary">${summary}</table>
+${rows.length > 0 ? `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>` : '<p>No disposals in this tax year.</p>'}
+</body>
+</html>`;
+};
+
+export const getTaxReportFileName = (yearLabel, extension) => `cryptohub-tax-report-${yearLabel.replace('/', '-')}.${extension}`;
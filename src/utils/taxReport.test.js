@@ -0,0 +1,40 @@
+import { buildTaxReport, buildTaxReportCsv, getTaxYears, getHoldingTerm } from './taxReport';
+
+const tx = (type, quantity, price, date) => ({ id: `${type}-${date}`, coinId: 'bitcoin', type, quantity, price, date });
+
+const ledger = [
+  tx('buy', 1, 100, '2023-01-10T12:00:00'),
+  tx('buy', 1, 200, '2024-02-01T12:00:00'),
+  tx('sell', 1.5, 300, '2024-03-01T12:00:00'),
+  tx('sell', 0.5, 400, '2025-05-01T12:00:00'),
+];
+
+test('splits sales into per-lot rows with their holding term', () => {
+  const { rows, totals } = buildTaxReport(ledger, { method: 'fifo', year: 2024 });
+  expect(rows).toHaveLength(2);
+  expect(rows[0]).toMatchObject({ quantity: 1, proceeds: 300, costBasis: 100, gain: 200, term: 'long' });
+  expect(rows[1]).toMatchObject({ quantity: 0.5, proceeds: 150, costBasis: 100, gain: 50, term: 'short' });
+  expect(totals).toEqual({ proceeds: 450, costBasis: 200, gain: 250, shortTermGain: 50, longTermGain: 200 });
+});
+
+test('assigns sales to tax years that start on a configurable date', () => {
+  expect(buildTaxReport(ledger, { method: 'fifo', year: 2025, yearStart: '04-06' }).rows).toHaveLength(1);
+  expect(buildTaxReport(ledger, { method: 'fifo', year: 2023, yearStart: '04-06' }).rows).toHaveLength(2);
+  expect(getTaxYears(ledger, '04-06', new Date('2025-01-01T00:00:00'))).toEqual([2025, 2024, 2023]);
+  expect(getHoldingTerm('2023-01-10T12:00:00', '2024-01-10T12:00:00')).toBe('short');
+});
+
+test('exports plain amounts to CSV', () => {
+  const { rows } = buildTaxReport(ledger, { method: 'fifo', year: 2025 });
+  expect(buildTaxReportCsv(rows, () => 'Bitcoin, BTC', 'usd').split('\r\n')).toEqual([
+    'Asset,Quantity,Date Acquired,Date Disposed,Proceeds (USD),Cost Basis (USD),Gain/Loss (USD),Term',
+    '"Bitcoin, BTC",0.5,2024-02-01,2025-05-01,200.00,100.00,100.00,Long term',
+  ]);
+  expect(buildTaxReportCsv(rows, () => 'Bitcoin', 'btc').split('\r\n')[1]).toBe('Bitcoin,0.5,2024-02-01,2025-05-01,200.00000000,100.00000000,100.00000000,Long term');
+});
+
+test('counts the rows whose prices could not be converted', () => {
+  const report = buildTaxReport([tx('buy', 1, null, '2024-01-10T12:00:00'), tx('sell', 1, 300, '2024-03-01T12:00:00')], { method: 'fifo', year: 2024 });
+  expect(report.unpricedCount).toBe(1);
+  expect(report.totals.gain).toBeNaN();
+});
@@ -0,0 +1,56 @@
+// Light and dark themes. The saved preference is 'system', 'light' or 'dark'; 'system' follows
+// the OS setting through prefers-color-scheme. The resolved theme puts the `dark` class on
+// <html>, which switches the color tokens in index.css.
+
+export const THEME_PREFERENCES = [
+    { value: 'system', label: 'Match System' },
+    { value: 'light', label: 'Light' },
+    { value: 'dark', label: 'Dark' },
+];
+
+export const DEFAULT_THEME_PREFERENCE = 'system';
+
+export const DARK_SCHEME_QUERY = '(prefers-color-scheme: dark)';
+
+export const normalizeThemePreference = (saved) => (
+    THEME_PREFERENCES.some(p => p.value === saved) ? saved : DEFAULT_THEME_PREFERENCE
+);
+
+// 'light' or 'dark'
+export const resolveTheme = (preference, prefersDark) => {
+    if (preference === 'light' || preference === 'dark') return preference;
+    return prefersDark ? 'dark' : 'light';
+};
+
+export const prefersDarkScheme = () => typeof window !== 'undefined' && Boolean(window.matchMedia?.(DARK_SCHEME_QUERY).matches);
+
+// Recharts draws with SVG attributes, which cannot read the CSS tokens, so every theme
+// carries its own chart colors. `colors` is the series palette; the light one is darker
+// so slices and lines keep their contrast on white.
+export const CHART_THEMES = {
+    dark: {
+        colors: ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#AF19FF', '#FF1943'],
+        grid: '#4B5563',
+        axis: '#9CA3AF',
+        tooltip: { backgroundColor: '#1F2937', border: '1px solid #4B5563', color: '#F3F4F6' },
+    },
+    light: {
+        colors: ['#0062CC', '#00997A', '#D48A00', '#E0591B', '#8A00D4', '#D6002A'],
+        grid: '#E5E7EB',
+        axis: '#6B7280',
+        tooltip: { backgroundColor: '#FFFFFF', border: '1px solid #D1D5DB', color: '#111827' },
+    },
+};
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// The series palette picked in Settings, one color per series; null keeps the theme's own
+export const normalizeChartColors = (saved) => (
+    Array.isArray(saved) && saved.length === CHART_THEMES.dark.colors.length && saved.every(c => HEX_COLOR.test(c)) ? saved : null
+);
+
+// A custom palette replaces `colors` in both themes; grid, axis and tooltip still follow the theme
+export const getChartTheme = (theme, customColors = null) => {
+    const chartTheme = CHART_THEMES[theme] || CHART_THEMES.dark;
+    return customColors ? { ...chartTheme, colors: customColors } : chartTheme;
+};
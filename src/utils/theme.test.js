@@ -0,0 +1,27 @@
+import { CHART_THEMES, getChartTheme, normalizeChartColors, normalizeThemePreference, resolveTheme } from './theme';
+
+test('follows the system setting unless a theme was picked', () => {
+  expect(resolveTheme('system', true)).toBe('dark');
+  expect(resolveTheme('system', false)).toBe('light');
+  expect(resolveTheme('light', true)).toBe('light');
+  expect(resolveTheme('dark', false)).toBe('dark');
+});
+
+test('falls back to the system preference and the dark chart colors', () => {
+  expect(normalizeThemePreference('dark')).toBe('dark');
+  expect(normalizeThemePreference('sepia')).toBe('system');
+  expect(normalizeThemePreference(null)).toBe('system');
+  expect(getChartTheme('light')).toBe(CHART_THEMES.light);
+  expect(getChartTheme(undefined)).toBe(CHART_THEMES.dark);
+  expect(CHART_THEMES.light.colors).toHaveLength(CHART_THEMES.dark.colors.length);
+});
+
+test('uses a custom chart palette in either theme', () => {
+  const palette = ['#111111', '#222222', '#333333', '#444444', '#555555', '#AABBCC'];
+  expect(normalizeChartColors(palette)).toBe(palette);
+  expect(normalizeChartColors(palette.slice(1))).toBeNull();
+  expect(normalizeChartColors([...palette.slice(1), 'red'])).toBeNull();
+  expect(normalizeChartColors(undefined)).toBeNull();
+  expect(getChartTheme('light', palette)).toEqual({ ...CHART_THEMES.light, colors: palette });
+  expect(getChartTheme('dark', null)).toBe(CHART_THEMES.dark);
+});
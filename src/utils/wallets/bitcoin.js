@@ -0,0 +1,51 @@
+// Bitcoin balances from an Esplora-compatible API (blockstream.info, mempool.space or a local
+// electrs/esplora). Unconfirmed transactions are counted, as the wallet already sees them.
+
+import { fetchJson } from '../priceProviders/request';
+import { deriveAddresses, isExtendedPublicKey, parseExtendedKey } from './hdkey';
+
+const SATOSHIS_PER_BTC = 1e8;
+
+// A wallet stops using addresses after 20 unused ones in a row (BIP44)
+export const GAP_LIMIT = 20;
+
+export const isBitcoinAddress = (value) => (
+    /^(bc1|tb1|bcrt1)[02-9ac-hj-np-z]{8,87}$/.test(value.toLowerCase()) || /^[123mn][1-9A-HJ-NP-Za-km-z]{25,34}$/.test(value)
+);
+
+const fetchAddressStats = async (esploraUrl, address) => {
+    const data = await fetchJson(`${esploraUrl.replace(/\/+$/, '')}/address/${address}`);
+    const stats = [data.chain_stats, data.mempool_stats].filter(Boolean);
+    return {
+        satoshis: stats.reduce((sum, s) => sum + (s.funded_txo_sum || 0) - (s.spent_txo_sum || 0), 0),
+        txCount: stats.reduce((sum, s) => sum + (s.tx_count || 0), 0),
+    };
+};
+
+// Walks one chain of an extended key until GAP_LIMIT unused addresses follow the last used
+// one. Requests run one at a time so public APIs do not rate limit the scan.
+const scanChain = async (esploraUrl, key, chain) => {
+    let satoshis = 0;
+    let unused = 0;
+    for (let index = 0; unused < GAP_LIMIT; index += GAP_LIMIT) {
+        const addresses = await deriveAddresses(key, chain, index, GAP_LIMIT);
+        for (const address of addresses) {
+            if (unused >= GAP_LIMIT) break;
+            const stats = await fetchAddressStats(esploraUrl, address);
+            satoshis += stats.satoshis;
+            unused = stats.txCount > 0 ? 0 : unused + 1;
+        }
+    }
+    return satoshis;
+};
+
+// BTC held by an address or an xpub/ypub/zpub (receive and change addresses together)
+export const fetchBitcoinBalance = async (esploraUrl, addressOrKey) => {
+    if (!isExtendedPublicKey(addressOrKey)) {
+        return (await fetchAddressStats(esploraUrl, addressOrKey)).satoshis / SATOSHIS_PER_BTC;
+    }
+    const key = await parseExtendedKey(addressOrKey);
+    const receive = await scanChain(esploraUrl, key, 0);
+    const change = await scanChain(esploraUrl, key, 1);
+    return (receive + change) / SATOSHIS_PER_BTC;
+};
@@ -0,0 +1,65 @@
+// Ethereum (and other EVM chain) balances over plain JSON-RPC: the native coin with
+// eth_getBalance and ERC-20 tokens with balanceOf calls. Any node works, including a local
+// anvil or geth.
+
+/* global BigInt */
+
+const BALANCE_OF = '0x70a08231';
+const DECIMALS = '0x313ce567';
+
+// Well-known Ethereum mainnet tokens that are checked when a wallet lists none of its own
+export const DEFAULT_TOKENS = [
+    { address: '0xdAC17F958D2ee523a2206206994597C13D831ec7', coinId: 'tether', decimals: 6 },
+    { address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', coinId: 'usd-coin', decimals: 6 },
+    { address: '0x6B175474E89094C44Da98b954EedeAC495271d0F', coinId: 'dai', decimals: 18 },
+    { address: '0x514910771AF9Ca656af840dff83E8264EcF986CA', coinId: 'chainlink', decimals: 18 },
+];
+
+export const isEvmAddress = (value) => /^0x[0-9a-fA-F]{40}$/.test(value);
+
+let requestId = 0;
+
+const rpc = async (rpcUrl, method, params) => {
+    const response = await fetch(rpcUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: ++requestId, method, params }),
+    });
+    if (!response.ok) {
+        const error = new Error(`${new URL(rpcUrl).hostname} request failed with status ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    const data = await response.json();
+    if (data.error) throw new Error(data.error.message || `${method} failed`);
+    return data.result;
+};
+
+// Hex amount in the smallest unit -> number of whole coins. BigInt keeps 18-decimal amounts
+// exact until the final division.
+export const formatUnits = (hex, decimals) => {
+    const raw = BigInt(hex && hex !== '0x' ? hex : '0x0');
+    const scale = 10n ** BigInt(decimals);
+    return Number(raw / scale) + Number(raw % scale) / Number(scale);
+};
+
+const callData = (selector, address = '') => selector + address.slice(2).toLowerCase().padStart(address ? 64 : 0, '0');
+
+const fetchTokenBalance = async (rpcUrl, address, token) => {
+    const balance = await rpc(rpcUrl, 'eth_call', [{ to: token.address, data: callData(BALANCE_OF, address) }, 'latest']);
+    const decimals = Number.isInteger(token.decimals)
+        ? token.decimals
+        : Number(BigInt(await rpc(rpcUrl, 'eth_call', [{ to: token.address, data: DECIMALS }, 'latest'])));
+    return formatUnits(balance, decimals);
+};
+
+// Returns { [coinId]: quantity } with the native coin and every token that has a balance.
+// `tokens` are { address, coinId, decimals? }; a missing decimals is read from the contract.
+export const fetchEvmBalances = async (rpcUrl, address, { nativeCoinId = 'ethereum', tokens = DEFAULT_TOKENS } = {}) => {
+    const balances = { [nativeCoinId]: formatUnits(await rpc(rpcUrl, 'eth_getBalance', [address, 'latest']), 18) };
+    for (const token of tokens) {
+        const quantity = await fetchTokenBalance(rpcUrl, address, token);
+        if (quantity > 0) balances[token.coinId] = (balances[token.coinId] || 0) + quantity;
+    }
+    return balances;
+};
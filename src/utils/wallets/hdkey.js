@@ -0,0 +1,243 @@
+// Watch-only Bitcoin addresses from an extended public key (BIP32). Only public, non-hardened
+// derivation is needed: receive addresses are <key>/0/i and change addresses <key>/1/i.
+// The key's prefix picks the address type: xpub/tpub legacy (P2PKH), ypub/upub nested SegWit
+// (P2SH-P2WPKH) and zpub/vpub native SegWit (P2WPKH).
+
+/* global BigInt */
+
+import { ripemd160 } from './ripemd160';
+
+const EXTENDED_KEY_TYPES = {
+    '0488b21e': { prefix: 'xpub', type: 'p2pkh', version: 0x00 },
+    '049d7cb2': { prefix: 'ypub', type: 'p2sh-p2wpkh', version: 0x05 },
+    '04b24746': { prefix: 'zpub', type: 'p2wpkh', hrp: 'bc' },
+    '043587cf': { prefix: 'tpub', type: 'p2pkh', version: 0x6f },
+    '044a5262': { prefix: 'upub', type: 'p2sh-p2wpkh', version: 0xc4 },
+    '045f1cf6': { prefix: 'vpub', type: 'p2wpkh', hrp: 'tb' },
+};
+
+export const isExtendedPublicKey = (value) => /^[xyztuv]pub[1-9A-HJ-NP-Za-km-z]{100,112}$/.test(value);
+
+// --- Encodings ---
+
+const BASE58 = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+const toHex = (bytes) => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+const concat = (...parts) => {
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+};
+const bigIntToBytes = (value, length = 32) => Uint8Array.from(value.toString(16).padStart(length * 2, '0').match(/../g), h => parseInt(h, 16));
+const bytesToBigInt = (bytes) => BigInt(`0x${toHex(bytes) || '0'}`);
+
+const sha256 = async (bytes) => new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+const hash160 = async (bytes) => ripemd160(await sha256(bytes));
+
+const base58Decode = (text) => {
+    let value = 0n;
+    for (const char of text) {
+        const digit = BASE58.indexOf(char);
+        if (digit < 0) throw new Error(`"${char}" is not a base58 character.`);
+        value = value * 58n + BigInt(digit);
+    }
+    const leadingZeros = text.match(/^1*/)[0].length;
+    const body = value > 0n ? bigIntToBytes(value, Math.ceil(value.toString(16).length / 2)) : new Uint8Array();
+    return concat(new Uint8Array(leadingZeros), body);
+};
+
+const base58Encode = (bytes) => {
+    let value = bytesToBigInt(bytes);
+    let text = '';
+    while (value > 0n) {
+        text = BASE58[Number(value % 58n)] + text;
+        value /= 58n;
+    }
+    const leadingZeros = bytes.findIndex(b => b !== 0);
+    return '1'.repeat(leadingZeros < 0 ? bytes.length : leadingZeros) + text;
+};
+
+const base58CheckEncode = async (payload) => base58Encode(concat(payload, (await sha256(await sha256(payload))).slice(0, 4)));
+
+const base58CheckDecode = async (text) => {
+    const bytes = base58Decode(text);
+    const payload = bytes.slice(0, -4);
+    const checksum = (await sha256(await sha256(payload))).slice(0, 4);
+    if (toHex(checksum) !== toHex(bytes.slice(-4))) throw new Error('The key has an invalid checksum.');
+    return payload;
+};
+
+// BIP173 bech32 for version 0 witness programs
+const BECH32 = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+
+const bech32Polymod = (values) => {
+    const generators = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+    let checksum = 1;
+    values.forEach(value => {
+        const top = checksum >>> 25;
+        checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+        generators.forEach((generator, i) => {
+            if ((top >>> i) & 1) checksum ^= generator;
+        });
+    });
+    return checksum;
+};
+
+const toFiveBits = (bytes) => {
+    const result = [];
+    let accumulator = 0;
+    let bits = 0;
+    bytes.forEach(byte => {
+        accumulator = (accumulator << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            bits -= 5;
+            result.push((accumulator >>> bits) & 31);
+        }
+    });
+    if (bits > 0) result.push((accumulator << (5 - bits)) & 31);
+    return result;
+};
+
+const segwitAddress = (hrp, program) => {
+    const data = [0, ...toFiveBits(program)];
+    const expandedHrp = [...[...hrp].map(c => c.charCodeAt(0) >> 5), 0, ...[...hrp].map(c => c.charCodeAt(0) & 31)];
+    const polymod = bech32Polymod([...expandedHrp, ...data, 0, 0, 0, 0, 0, 0]) ^ 1;
+    const checksum = Array.from({ length: 6 }, (_, i) => (polymod >>> (5 * (5 - i))) & 31);
+    return `${hrp}1${[...data, ...checksum].map(value => BECH32[value]).join('')}`;
+};
+
+// --- secp256k1, in Jacobian coordinates to avoid a modular inverse per step ---
+
+const P = 2n ** 256n - 2n ** 32n - 977n;
+const N = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+const G = [
+    0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n,
+    0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n,
+    1n,
+];
+
+const mod = (a, m = P) => ((a % m) + m) % m;
+
+const modPow = (base, exponent, m = P) => {
+    let result = 1n;
+    let b = mod(base, m);
+    let e = exponent;
+    while (e > 0n) {
+        if (e & 1n) result = (result * b) % m;
+        b = (b * b) % m;
+        e >>= 1n;
+    }
+    return result;
+};
+
+// P is prime, so Fermat's little theorem gives the inverse
+const invert = (a) => modPow(a, P - 2n);
+
+const double = ([x, y, z]) => {
+    if (y === 0n || z === 0n) return [0n, 1n, 0n];
+    const ysq = mod(y * y);
+    const s = mod(4n * x * ysq);
+    const m = mod(3n * x * x);
+    const nx = mod(m * m - 2n * s);
+    return [nx, mod(m * (s - nx) - 8n * ysq * ysq), mod(2n * y * z)];
+};
+
+const add = (p1, p2) => {
+    if (p1[2] === 0n) return p2;
+    if (p2[2] === 0n) return p1;
+    const [x1, y1, z1] = p1;
+    const [x2, y2, z2] = p2;
+    const z1sq = mod(z1 * z1);
+    const z2sq = mod(z2 * z2);
+    const u1 = mod(x1 * z2sq);
+    const u2 = mod(x2 * z1sq);
+    const s1 = mod(y1 * z2sq * z2);
+    const s2 = mod(y2 * z1sq * z1);
+    if (u1 === u2) return s1 === s2 ? double(p1) : [0n, 1n, 0n];
+    const h = mod(u2 - u1);
+    const r = mod(s2 - s1);
+    const hsq = mod(h * h);
+    const hcu = mod(hsq * h);
+    const nx = mod(r * r - hcu - 2n * u1 * hsq);
+    return [nx, mod(r * (u1 * hsq - nx) - s1 * hcu), mod(h * z1 * z2)];
+};
+
+const multiply = (point, scalar) => {
+    let result = [0n, 1n, 0n];
+    let addend = point;
+    let k = scalar;
+    while (k > 0n) {
+        if (k & 1n) result = add(result, addend);
+        addend = double(addend);
+        k >>= 1n;
+    }
+    return result;
+};
+
+const toAffine = ([x, y, z]) => {
+    const zInv = invert(z);
+    const zInvSq = mod(zInv * zInv);
+    return [mod(x * zInvSq), mod(y * zInvSq * zInv)];
+};
+
+const decompress = (bytes) => {
+    const x = bytesToBigInt(bytes.slice(1));
+    let y = modPow(mod(x * x * x + 7n), (P + 1n) / 4n);
+    if ((y & 1n) !== BigInt(bytes[0] & 1)) y = P - y;
+    return [x, y, 1n];
+};
+
+const compress = (point) => {
+    const [x, y] = toAffine(point);
+    return concat(Uint8Array.of(y & 1n ? 3 : 2), bigIntToBytes(x));
+};
+
+// --- BIP32 ---
+
+const hmacSha512 = async (key, data) => {
+    const cryptoKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-512' }, false, ['sign']);
+    return new Uint8Array(await crypto.subtle.sign('HMAC', cryptoKey, data));
+};
+
+// Returns { publicKey, chainCode, type, version?, hrp? } for an xpub, ypub, zpub, tpub, upub or vpub.
+export const parseExtendedKey = async (text) => {
+    const payload = await base58CheckDecode(text.trim());
+    if (payload.length !== 78) throw new Error('The extended public key has the wrong length.');
+    const keyType = EXTENDED_KEY_TYPES[toHex(payload.slice(0, 4))];
+    if (!keyType) throw new Error('Only xpub, ypub, zpub, tpub, upub and vpub keys are supported.');
+    const publicKey = payload.slice(45, 78);
+    if (publicKey[0] !== 2 && publicKey[0] !== 3) throw new Error('This is a private key. Enter the public one instead.');
+    return { ...keyType, chainCode: payload.slice(13, 45), publicKey };
+};
+
+const deriveChild = async ({ publicKey, chainCode }, index) => {
+    const digest = await hmacSha512(chainCode, concat(publicKey, bigIntToBytes(BigInt(index), 4)));
+    const tweak = bytesToBigInt(digest.slice(0, 32));
+    if (tweak >= N) throw new Error(`Child key ${index} is invalid.`);
+    const point = add(multiply(G, tweak), decompress(publicKey));
+    return { publicKey: compress(point), chainCode: digest.slice(32) };
+};
+
+const toAddress = async (key, publicKey) => {
+    const keyHash = await hash160(publicKey);
+    if (key.type === 'p2wpkh') return segwitAddress(key.hrp, keyHash);
+    if (key.type === 'p2pkh') return base58CheckEncode(concat(Uint8Array.of(key.version), keyHash));
+    // P2SH-P2WPKH hashes the witness script 0014<keyHash>
+    const scriptHash = await hash160(concat(Uint8Array.of(0x00, 0x14), keyHash));
+    return base58CheckEncode(concat(Uint8Array.of(key.version), scriptHash));
+};
+
+// Addresses `start` to `start + count - 1` of the receive (0) or change (1) chain.
+export const deriveAddresses = async (key, chain, start, count) => {
+    const branch = await deriveChild(key, chain);
+    const addresses = [];
+    for (let index = start; index < start + count; index++) {
+        addresses.push(await toAddress(key, (await deriveChild(branch, index)).publicKey));
+    }
+    return addresses;
+};
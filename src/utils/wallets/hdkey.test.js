@@ -0,0 +1,30 @@
+import { TextDecoder, TextEncoder } from 'util';
+import { webcrypto } from 'crypto';
+import { deriveAddresses, isExtendedPublicKey, parseExtendedKey } from './hdkey';
+import { ripemd160 } from './ripemd160';
+
+// jsdom has neither Web Crypto nor the text codecs
+beforeAll(() => {
+  Object.assign(global, { crypto: webcrypto, TextEncoder, TextDecoder });
+});
+
+const toHex = (bytes) => Buffer.from(bytes).toString('hex');
+
+// Account keys of the "abandon ... about" test mnemonic (BIP44 and BIP84)
+const XPUB = 'xpub6BosfCnifzxcFwrSzQiqu2DBVTshkCXacvNsWGYJVVhhawA7d4R5WSWGFNbi8Aw6ZRc1brxMyWMzG3DSSSSoekkudhUd9yLb6qx39T9nMdj';
+const ZPUB = 'zpub6rFR7y4Q2AijBEqTUquhVz398htDFrtymD9xYYfG1m4wAcvPhXNfE3EfH1r1ADqtfSdVCToUG868RvUUkgDKf31mGDtKsAYz2oz2AGutZYs';
+
+test('hashes with RIPEMD-160', () => {
+  expect(toHex(ripemd160(new Uint8Array()))).toBe('9c1185a5c5e9fc54612808977ee8f548b2258d31');
+  expect(toHex(ripemd160(new TextEncoder().encode('abc')))).toBe('8eb208f7e05d987a9b044a8e98c6b087f15a0bfc');
+});
+
+test('derives legacy and native SegWit receive addresses from account keys', async () => {
+  expect(isExtendedPublicKey(XPUB)).toBe(true);
+  expect(await deriveAddresses(await parseExtendedKey(XPUB), 0, 0, 1)).toEqual(['1LqBGSKuX5yYUonjxT5qGfpUsXKYYWeabA']);
+  expect(await deriveAddresses(await parseExtendedKey(ZPUB), 0, 0, 1)).toEqual(['bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu']);
+});
+
+test('rejects keys with a broken checksum', async () => {
+  await expect(parseExtendedKey(`${XPUB.slice(0, -1)}k`)).rejects.toThrow('checksum');
+});
@@ -0,0 +1,109 @@
+// Watch-only wallets: on-chain addresses whose balances are read, never signed for, and shown
+// next to the ledger's holdings. Each wallet belongs to a portfolio like a transaction does.
+//
+// Balances come from endpoints the user configures: a JSON-RPC node for EVM chains and an
+// Esplora-compatible API for Bitcoin. Either one can be a local node, or "mock" for made-up
+// balances that never touch the network.
+
+import { hash } from '../priceProviders/mock';
+import { DEFAULT_PORTFOLIO_ID, isInPortfolio } from '../portfolios';
+import { fetchBitcoinBalance, isBitcoinAddress } from './bitcoin';
+import { DEFAULT_TOKENS, fetchEvmBalances, isEvmAddress } from './evm';
+import { isExtendedPublicKey } from './hdkey';
+
+export const WALLET_CHAINS = [
+    { value: 'evm', label: 'Ethereum / EVM', placeholder: '0x...', endpointLabel: 'JSON-RPC URL' },
+    { value: 'bitcoin', label: 'Bitcoin', placeholder: 'bc1..., 1..., 3... or xpub/ypub/zpub', endpointLabel: 'Esplora API URL' },
+];
+
+export const MOCK_ENDPOINT = 'mock';
+
+// REACT_APP_EVM_RPC_URL and REACT_APP_ESPLORA_URL (e.g. a local anvil and electrs) replace
+// the public defaults
+export const DEFAULT_WALLET_ENDPOINTS = {
+    evm: process.env.REACT_APP_EVM_RPC_URL || 'https://ethereum-rpc.publicnode.com',
+    bitcoin: process.env.REACT_APP_ESPLORA_URL || 'https://blockstream.info/api',
+};
+
+export const WALLET_REFRESH_MS = 5 * 60 * 1000;
+
+export { DEFAULT_TOKENS } from './evm';
+
+export const normalizeWalletEndpoints = (saved) => {
+    const endpoints = { ...DEFAULT_WALLET_ENDPOINTS };
+    WALLET_CHAINS.forEach(({ value }) => {
+        if (typeof saved?.[value] === 'string' && saved[value].trim()) endpoints[value] = saved[value].trim();
+    });
+    return endpoints;
+};
+
+export const isValidEndpoint = (value) => value === MOCK_ENDPOINT || /^https?:\/\/\S+$/.test(value);
+
+// Returns an error message, or null when the address fits the chain
+export const validateWalletAddress = (chain, address) => {
+    if (chain === 'evm') return isEvmAddress(address) ? null : 'Enter a 0x address with 40 hex characters.';
+    if (chain === 'bitcoin') {
+        return isBitcoinAddress(address) || isExtendedPublicKey(address) ? null : 'Enter a Bitcoin address or an xpub, ypub or zpub.';
+    }
+    return 'Unknown chain.';
+};
+
+// Token lines as "<contract address> <coin id> [decimals]", one per line
+export const parseTokenList = (text) => text.split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+    const [address, coinId, decimals] = line.split(/[\s,]+/);
+    if (!isEvmAddress(address) || !coinId) throw new Error(`"${line}" is not "<contract address> <coin id> [decimals]".`);
+    if (decimals !== undefined && !/^\d+$/.test(decimals)) throw new Error(`"${decimals}" is not a number of decimals.`);
+    return decimals === undefined ? { address, coinId } : { address, coinId, decimals: Number(decimals) };
+});
+
+export const formatTokenList = (tokens) => tokens.map(t => [t.address, t.coinId, t.decimals].filter(v => v !== undefined).join(' ')).join('\n');
+
+// `tokens` only applies to EVM wallets; null checks DEFAULT_TOKENS
+export const createWallet = ({ name, chain, address, portfolioId = DEFAULT_PORTFOLIO_ID, nativeCoinId = 'ethereum', tokens = null }) => ({
+    id: `wallet-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    chain,
+    address: address.trim(),
+    portfolioId,
+    ...(chain === 'evm' ? { nativeCoinId, tokens } : {}),
+});
+
+// Made-up balances for the mock endpoint; the same address always gets the same ones
+const getMockBalances = (wallet) => {
+    const seed = hash(wallet.address.toLowerCase());
+    if (wallet.chain === 'bitcoin') return { bitcoin: (seed % 100000) / 100000 };
+    return { [wallet.nativeCoinId || 'ethereum']: (seed % 10000) / 1000, 'usd-coin': seed % 5000 };
+};
+
+// { [coinId]: quantity } held by one wallet, read from the endpoint of its chain
+export const fetchWalletBalances = async (wallet, endpoints = DEFAULT_WALLET_ENDPOINTS) => {
+    const endpoint = endpoints[wallet.chain];
+    if (endpoint === MOCK_ENDPOINT) return getMockBalances(wallet);
+    if (wallet.chain === 'bitcoin') return { bitcoin: await fetchBitcoinBalance(endpoint, wallet.address) };
+    if (wallet.chain === 'evm') {
+        return fetchEvmBalances(endpoint, wallet.address, { nativeCoinId: wallet.nativeCoinId, tokens: wallet.tokens || DEFAULT_TOKENS });
+    }
+    throw new Error(`Unknown chain "${wallet.chain}".`);
+};
+
+// What the wallets of a portfolio (or of all of them) hold, by coin:
+// { [coinId]: [{ walletId, name, quantity }] }. `balances` are the last fetched ones, keyed by
+// wallet id as { balances, updatedAt, error }.
+export const getWalletHoldings = (wallets, balances, portfolioId) => {
+    const holdings = {};
+    wallets.filter(wallet => isInPortfolio(wallet, portfolioId)).forEach(wallet => {
+        Object.entries(balances[wallet.id]?.balances || {}).forEach(([coinId, quantity]) => {
+            if (!(quantity > 0)) return;
+            holdings[coinId] = [...(holdings[coinId] || []), { walletId: wallet.id, name: wallet.name, quantity }];
+        });
+    });
+    return holdings;
+};
+
+// The wallet balances of every portfolio summed per coin, { [portfolioId]: { [coinId]: quantity } },
+// as the alert engine takes them
+export const getWalletQuantities = (wallets, balances, portfolios) => Object.fromEntries(portfolios.map(portfolio => [
+    portfolio.id,
+    Object.fromEntries(Object.entries(getWalletHoldings(wallets, balances, portfolio.id))
+        .map(([coinId, holdings]) => [coinId, holdings.reduce((sum, holding) => sum + holding.quantity, 0)])),
+]));
@@ -0,0 +1,56 @@
+import { fetchWalletBalances, getWalletHoldings, getWalletQuantities, parseTokenList, validateWalletAddress } from './index';
+
+const ADDRESS = '0x00000000219ab540356cBB839Cbe05303d7705Fa';
+const TOKEN = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+const respond = (body) => Promise.resolve({ ok: true, json: async () => body });
+
+test('reads the native balance and token balances over JSON-RPC', async () => {
+  global.fetch = jest.fn((url, { body }) => {
+    const { id, method, params } = JSON.parse(body);
+    if (method === 'eth_getBalance') return respond({ jsonrpc: '2.0', id, result: '0x1bc16d674ec80000' });
+    // balanceOf(ADDRESS) answers 2.5 USDC in 6-decimal units
+    expect(params[0]).toEqual({ to: TOKEN, data: `0x70a08231${ADDRESS.slice(2).toLowerCase().padStart(64, '0')}` });
+    return respond({ jsonrpc: '2.0', id, result: '0x2625a0' });
+  });
+  const wallet = { chain: 'evm', address: ADDRESS, nativeCoinId: 'ethereum', tokens: [{ address: TOKEN, coinId: 'usd-coin', decimals: 6 }] };
+  expect(await fetchWalletBalances(wallet, { evm: 'http://localhost:8545' })).toEqual({ ethereum: 2, 'usd-coin': 2.5 });
+});
+
+test('sums confirmed and unconfirmed outputs of a Bitcoin address', async () => {
+  global.fetch = jest.fn(() => respond({
+    chain_stats: { funded_txo_sum: 150000000, spent_txo_sum: 50000000, tx_count: 3 },
+    mempool_stats: { funded_txo_sum: 0, spent_txo_sum: 10000000, tx_count: 1 },
+  }));
+  const wallet = { chain: 'bitcoin', address: 'bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu' };
+  expect(await fetchWalletBalances(wallet, { bitcoin: 'http://localhost:3002/' })).toEqual({ bitcoin: 0.9 });
+  expect(global.fetch).toHaveBeenCalledWith('http://localhost:3002/address/bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu');
+});
+
+test('groups wallet balances of a portfolio by coin', () => {
+  const wallets = [
+    { id: 'w1', name: 'Ledger', chain: 'evm', address: ADDRESS, portfolioId: 'default' },
+    { id: 'w2', name: 'Cold', chain: 'bitcoin', address: '1LqBGSKuX5yYUonjxT5qGfpUsXKYYWeabA', portfolioId: 'other' },
+  ];
+  const balances = { w1: { balances: { ethereum: 1, 'usd-coin': 0 } }, w2: { balances: { bitcoin: 0.5 } } };
+  expect(getWalletHoldings(wallets, balances, 'default')).toEqual({ ethereum: [{ walletId: 'w1', name: 'Ledger', quantity: 1 }] });
+  expect(Object.keys(getWalletHoldings(wallets, balances, 'all'))).toEqual(['ethereum', 'bitcoin']);
+  expect(getWalletQuantities(wallets, balances, [{ id: 'default' }, { id: 'other' }, { id: 'empty' }])).toEqual({
+    default: { ethereum: 1 }, other: { bitcoin: 0.5 }, empty: {},
+  });
+});
+
+test('validates addresses and token lists', () => {
+  expect(validateWalletAddress('evm', ADDRESS)).toBeNull();
+  expect(validateWalletAddress('evm', '0x123')).toMatch('40 hex');
+  expect(validateWalletAddress('bitcoin', '1LqBGSKuX5yYUonjxT5qGfpUsXKYYWeabA')).toBeNull();
+  expect(parseTokenList(`${TOKEN} usd-coin 6\n\n${TOKEN} dai`)).toEqual([
+    { address: TOKEN, coinId: 'usd-coin', decimals: 6 },
+    { address: TOKEN, coinId: 'dai' },
+  ]);
+  expect(() => parseTokenList('usd-coin')).toThrow();
+});
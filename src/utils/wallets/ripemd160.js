@@ -0,0 +1,72 @@
+// RIPEMD-160, which Bitcoin addresses need and Web Crypto does not offer.
+// Takes and returns a Uint8Array.
+
+const ZL = [
+    0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 7, 4, 13, 1, 10, 6, 15, 3, 12, 0, 9, 5, 2, 14, 11, 8,
+    3, 10, 14, 4, 9, 15, 8, 1, 2, 7, 0, 6, 13, 11, 5, 12, 1, 9, 11, 10, 0, 8, 12, 4, 13, 3, 7, 15, 14, 5, 6, 2,
+    4, 0, 5, 9, 7, 12, 2, 10, 14, 1, 3, 8, 11, 6, 15, 13,
+];
+const ZR = [
+    5, 14, 7, 0, 9, 2, 11, 4, 13, 6, 15, 8, 1, 10, 3, 12, 6, 11, 3, 7, 0, 13, 5, 10, 14, 15, 8, 12, 4, 9, 1, 2,
+    15, 5, 1, 3, 7, 14, 6, 9, 11, 8, 12, 2, 10, 0, 4, 13, 8, 6, 4, 1, 3, 11, 15, 0, 5, 12, 2, 13, 9, 7, 10, 14,
+    12, 15, 10, 4, 1, 5, 8, 7, 6, 2, 13, 14, 0, 3, 9, 11,
+];
+const SL = [
+    11, 14, 15, 12, 5, 8, 7, 9, 11, 13, 14, 15, 6, 7, 9, 8, 7, 6, 8, 13, 11, 9, 7, 15, 7, 12, 15, 9, 11, 7, 13, 12,
+    11, 13, 6, 7, 14, 9, 13, 15, 14, 8, 13, 6, 5, 12, 7, 5, 11, 12, 14, 15, 14, 15, 9, 8, 9, 14, 5, 6, 8, 6, 5, 12,
+    9, 15, 5, 11, 6, 8, 13, 12, 5, 12, 13, 14, 11, 8, 5, 6,
+];
+const SR = [
+    8, 9, 9, 11, 13, 15, 15, 5, 7, 7, 8, 11, 14, 14, 12, 6, 9, 13, 15, 7, 12, 8, 9, 11, 7, 7, 12, 7, 6, 15, 13, 11,
+    9, 7, 15, 11, 8, 6, 6, 14, 12, 13, 5, 14, 13, 13, 7, 5, 15, 5, 8, 11, 14, 14, 6, 14, 6, 9, 12, 9, 12, 5, 15, 8,
+    8, 5, 12, 9, 12, 5, 14, 6, 8, 13, 6, 5, 15, 13, 11, 11,
+];
+const KL = [0x00000000, 0x5a827999, 0x6ed9eba1, 0x8f1bbcdc, 0xa953fd4e];
+const KR = [0x50a28be6, 0x5c4dd124, 0x6d703ef3, 0x7a6d76e9, 0x00000000];
+
+const rotl = (x, n) => (x << n) | (x >>> (32 - n));
+
+const f = (round, x, y, z) => {
+    switch (round) {
+        case 0: return x ^ y ^ z;
+        case 1: return (x & y) | (~x & z);
+        case 2: return (x | ~y) ^ z;
+        case 3: return (x & z) | (y & ~z);
+        default: return x ^ (y | ~z);
+    }
+};
+
+export const ripemd160 = (message) => {
+    // Pad to a multiple of 64 bytes, ending with the bit length in little endian
+    const padded = new Uint8Array(Math.ceil((message.length + 9) / 64) * 64);
+    padded.set(message);
+    padded[message.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(padded.length - 8, (message.length * 8) >>> 0, true);
+    view.setUint32(padded.length - 4, Math.floor(message.length / 0x20000000), true);
+
+    const h = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+    for (let offset = 0; offset < padded.length; offset += 64) {
+        const words = Array.from({ length: 16 }, (_, i) => view.getUint32(offset + i * 4, true));
+        let [al, bl, cl, dl, el] = h;
+        let [ar, br, cr, dr, er] = h;
+        for (let j = 0; j < 80; j++) {
+            const round = Math.floor(j / 16);
+            let t = (rotl((al + f(round, bl, cl, dl) + words[ZL[j]] + KL[round]) | 0, SL[j]) + el) | 0;
+            [al, el, dl, cl, bl] = [el, dl, rotl(cl, 10), bl, t];
+            t = (rotl((ar + f(4 - round, br, cr, dr) + words[ZR[j]] + KR[round]) | 0, SR[j]) + er) | 0;
+            [ar, er, dr, cr, br] = [er, dr, rotl(cr, 10), br, t];
+        }
+        const t = (h[1] + cl + dr) | 0;
+        h[1] = (h[2] + dl + er) | 0;
+        h[2] = (h[3] + el + ar) | 0;
+        h[3] = (h[4] + al + br) | 0;
+        h[4] = (h[0] + bl + cr) | 0;
+        h[0] = t;
+    }
+
+    const digest = new Uint8Array(20);
+    const out = new DataView(digest.buffer);
+    h.forEach((word, i) => out.setUint32(i * 4, word >>> 0, true));
+    return digest;
+};
@@ -0,0 +1,38 @@
+// Starred coins, kept as a list of CoinGecko ids in the order they were added. Their prices,
+// changes, market cap and volume come with the regular price poll; only the 7-day sparklines
+// are fetched separately, from CoinGecko.
+
+import { fetchJson } from './priceProviders/request';
+
+export const WATCHLIST_SORTS = [
+    { value: 'added', label: 'Date added' },
+    { value: 'marketCap', label: 'Market cap' },
+    { value: 'change24h', label: '24h change' },
+    { value: 'change7d', label: '7d change' },
+];
+
+export const SPARKLINE_REFRESH_MS = 10 * 60 * 1000;
+
+export const normalizeWatchlist = (saved) => (Array.isArray(saved) ? [...new Set(saved.filter(id => typeof id === 'string' && id))] : []);
+
+export const toggleWatchlist = (watchlist, coinId) => (
+    watchlist.includes(coinId) ? watchlist.filter(id => id !== coinId) : [...watchlist, coinId]
+);
+
+// `quotes` are the app's prices, keyed by coin id. Coins without a quote go last.
+export const sortWatchlist = (watchlist, quotes, sortBy = 'added') => {
+    if (sortBy === 'added') return [...watchlist];
+    const valueOf = (coinId) => quotes[coinId]?.[sortBy] ?? -Infinity;
+    return [...watchlist].sort((a, b) => valueOf(b) - valueOf(a));
+};
+
+// Hourly prices over the last 7 days, keyed by coin id: { coinId: [price, ...] }. They are
+// always fetched in USD: a sparkline only shows the shape, so the currency makes no difference
+// and switching the base currency needs no new request.
+export const fetchSparklines = async (coinIds) => {
+    if (coinIds.length === 0) return {};
+    const data = await fetchJson(`https://api.coingecko.com/api/v3/coins/markets?vs_currency=usd&ids=${coinIds.join(',')}&per_page=250&sparkline=true`);
+    return Object.fromEntries(data
+        .filter(coin => Array.isArray(coin.sparkline_in_7d?.price))
+        .map(coin => [coin.id, coin.sparkline_in_7d.price]));
+};
@@ -0,0 +1,14 @@
+import { normalizeWatchlist, sortWatchlist, toggleWatchlist } from './watchlist';
+
+test('stars and unstars coins, dropping invalid saved entries', () => {
+  expect(normalizeWatchlist(['bitcoin', 'bitcoin', null, 'solana'])).toEqual(['bitcoin', 'solana']);
+  expect(normalizeWatchlist('bitcoin')).toEqual([]);
+  expect(toggleWatchlist(['bitcoin'], 'solana')).toEqual(['bitcoin', 'solana']);
+  expect(toggleWatchlist(['bitcoin', 'solana'], 'bitcoin')).toEqual(['solana']);
+});
+
+test('sorts by a quote field with unpriced coins last', () => {
+  const quotes = { bitcoin: { marketCap: 100 }, solana: { marketCap: 300 } };
+  expect(sortWatchlist(['bitcoin', 'unknown', 'solana'], quotes, 'marketCap')).toEqual(['solana', 'bitcoin', 'unknown']);
+  expect(sortWatchlist(['bitcoin', 'unknown', 'solana'], quotes)).toEqual(['bitcoin', 'unknown', 'solana']);
+});
@@ -1,14 +1,40 @@
+// Neutral and accent colors are design tokens: CSS variables set per theme in index.css
+// (light on :root, dark on .dark), stored as "r g b" so opacity modifiers keep working.
+// Neutrals are named for their role rather than a shade, so `bg-surface` is the card color in
+// either theme; Tailwind's own gray scale is left alone and means the same in both.
+const token = (name) => `rgb(var(--color-${name}) / <alpha-value>)`;
+const scale = (name, shades) => Object.fromEntries(shades.map(shade => [shade, token(`${name}-${shade}`)]));
+const roles = (name, variants) => ({
+  DEFAULT: token(name),
+  ...Object.fromEntries(variants.map(variant => [variant, token(`${name}-${variant}`)])),
+});
+
+// Accents only switch the light shades used for text on dark surfaces
+const ACCENTS = ['red', 'green', 'yellow', 'blue', 'purple', 'orange'];
+
 /** @type {import('tailwindcss').Config} */
 module.exports = {
+  darkMode: 'class',
   content: [
     "./src/**/*.{js,jsx,ts,tsx}",
   ],
   theme: {
     extend: {
+      colors: {
+        // Backgrounds: the top bar sinks below the cards, tables and panels in a card are raised above it
+        surface: roles('surface', ['sunken', 'raised']),
+        // Inputs, selects and neutral buttons
+        control: roles('control', ['hover']),
+        // Borders and dividers; the strong one outlines controls
+        line: roles('line', ['strong']),
+        // Text, from headings and values down to hints
+        content: roles('content', ['secondary', 'muted', 'faint']),
+        ...Object.fromEntries(ACCENTS.map(accent => [accent, scale(accent, [300, 400])])),
+      },
       fontFamily: {
         inter: ['Inter', 'sans-serif'],
       },
     },
   },
   plugins: [],
-}
\ No newline at end of file
+}